@@ -0,0 +1,79 @@
+// alpacaPositionSync.js
+// CommonJS module - pulls open positions from the Alpaca account and reconciles them into a portfolio's stocks map.
+// The account is the source of truth for quantity / entry price / market value; server-side fields on kept
+// symbols (stopLoss, analysis, stopLossState, stopOrder, ...) are left alone.
+// Which Alpaca environment the keys belong to (the account env) is independent of the order-placement opt-in
+// (trading.mode): it comes from the key id prefix, or from trying both environments once.
+
+const { createTradingApi } = require('./alpacaTrading');
+
+const ACCOUNT_ENVS = ['paper', 'live'];
+
+// 'paper' | 'live' from the key id (Alpaca issues PK... for paper and AK... for live accounts), else null
+function accountEnvForKeys(keys) {
+  const id = String(keys?.key || '').toUpperCase();
+  if (id.startsWith('PK')) return 'paper';
+  if (id.startsWith('AK')) return 'live';
+  return null;
+}
+
+// mode: 'paper' | 'live' — must match the account the keys belong to
+async function fetchPositions(keys, mode = 'paper') {
+  const { data } = await createTradingApi(keys, mode).get('/positions');
+  return Array.isArray(data) ? data : [];
+}
+
+// -> { positions, env }. env: the known account env, if any; otherwise the key prefix decides, and failing that
+// paper is tried first and live after a 401/403
+async function fetchAccountPositions(keys, env = null) {
+  const first = env || accountEnvForKeys(keys);
+  if (first) return { positions: await fetchPositions(keys, first), env: first };
+  for (const candidate of ACCOUNT_ENVS) {
+    try {
+      return { positions: await fetchPositions(keys, candidate), env: candidate };
+    } catch (err) {
+      const status = err.response?.status;
+      if ((status !== 401 && status !== 403) || candidate === ACCOUNT_ENVS[ACCOUNT_ENVS.length - 1]) throw err;
+    }
+  }
+}
+
+function toStockFields(position) {
+  return {
+    shares: Number(position.qty),
+    entryPrice: Number(position.avg_entry_price),
+    marketValue: Number(position.market_value),
+    lastPrice: Number(position.current_price) || undefined,
+  };
+}
+
+// Mutates `stocks`. Returns { added: [symbol], updated: [{ symbol, prevShares }], closed: [{ symbol, position }] }.
+// Short positions are ignored: stops here are sell-side only.
+function reconcilePositions(stocks, positions) {
+  const live = {};
+  for (const p of positions) {
+    if (!p || !p.symbol || p.side === 'short') continue;
+    live[p.symbol.toUpperCase()] = toStockFields(p);
+  }
+
+  const added = [], updated = [], closed = [];
+  for (const symbol of Object.keys(stocks)) {
+    if (live[symbol]) continue;
+    closed.push({ symbol, position: stocks[symbol] });
+    delete stocks[symbol];
+  }
+  for (const [symbol, fields] of Object.entries(live)) {
+    if (fields.lastPrice === undefined) delete fields.lastPrice;
+    if (!stocks[symbol]) {
+      stocks[symbol] = { ...fields, syncedFrom: 'alpaca' };
+      added.push(symbol);
+      continue;
+    }
+    const prevShares = Number(stocks[symbol].shares ?? stocks[symbol].quantity ?? 0);
+    Object.assign(stocks[symbol], fields);
+    if (prevShares !== fields.shares) updated.push({ symbol, prevShares });
+  }
+  return { added, updated, closed };
+}
+
+module.exports = { fetchPositions, fetchAccountPositions, accountEnvForKeys, reconcilePositions };
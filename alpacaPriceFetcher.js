@@ -1,4 +1,6 @@
 const axios = require('axios');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+const log = require('./logger').child({ subsystem: 'stream' });
 
 async function getRealTimePrice(ticker, alpacaKey, alpacaSecret) {
   try {
@@ -14,12 +16,12 @@ async function getRealTimePrice(ticker, alpacaKey, alpacaSecret) {
     const price = response.data.quote?.ap;
 
     if (!price) {
-      throw new Error(`אין מחיר זמין למניה ${ticker}`);
+      throw new Error(t(DEFAULT_LOCALE, 'prices.noPrice', { ticker }));
     }
 
     return +price.toFixed(2);
   } catch (error) {
-    console.error(`שגיאה בשליפת מחיר עבור ${ticker} מ-Alpaca: ${error.message}`);
+    log.error(t(DEFAULT_LOCALE, 'prices.alpacaFailed', { ticker, error: error.message }));
     throw error;
   }
 }
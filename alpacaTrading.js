@@ -0,0 +1,193 @@
+// alpacaTrading.js
+// CommonJS module - protective stop / stop-limit orders through the Alpaca trading API.
+// syncStopOrder() makes the broker order for one position match the stop computed by the server:
+// create when there is none, replace when price/qty moved, cancel when the stop or position is gone.
+// Live trading needs ALPACA_LIVE_TRADING=true on the server; ALPACA_TRADING_DRY_RUN=true forces dry-run for everyone.
+// Switching dry-run off replaces the dry-run order with a real one; switching it on cancels the real one.
+
+const axios = require('axios');
+
+const TRADING_URLS = {
+  paper: 'https://paper-api.alpaca.markets',
+  live: 'https://api.alpaca.markets',
+};
+
+function tradingBaseURL(mode) {
+  // override (e.g. mockAlpacaServer.js) wins for both modes
+  if (process.env.ALPACA_TRADING_BASE_URL) return process.env.ALPACA_TRADING_BASE_URL.replace(/\/$/, '');
+  return TRADING_URLS[mode] || TRADING_URLS.paper;
+}
+
+function createTradingApi(keys, mode) {
+  return axios.create({
+    baseURL: `${tradingBaseURL(mode)}/v2`,
+    timeout: 10000,
+    headers: {
+      'APCA-API-KEY-ID': keys.key,
+      'APCA-API-SECRET-KEY': keys.secret,
+    }
+  });
+}
+
+// per-user opt-in settings as sent by the client (alpacaTrading in /update-portfolio)
+function normalizeTradingSettings(input) {
+  if (!input || typeof input !== 'object') return null;
+  const limitOffsetPct = Number(input.limitOffsetPct ?? 1);
+  return {
+    enabled: input.enabled === true,
+    mode: input.mode === 'live' ? 'live' : 'paper',
+    orderType: input.orderType === 'stop_limit' ? 'stop_limit' : 'stop',
+    limitOffsetPct: isFinite(limitOffsetPct) && limitOffsetPct >= 0 ? limitOffsetPct : 1,
+    dryRun: input.dryRun === true,
+  };
+}
+
+// Alpaca rejects sub-penny prices >= $1
+function roundOrderPrice(p) {
+  return p >= 1 ? Number(p.toFixed(2)) : Number(p.toFixed(4));
+}
+
+function buildStopOrder({ symbol, qty, stopPrice, orderType, limitOffsetPct }) {
+  const order = {
+    symbol,
+    qty: String(qty),
+    side: 'sell',
+    type: orderType === 'stop_limit' ? 'stop_limit' : 'stop',
+    time_in_force: 'gtc',
+    stop_price: String(roundOrderPrice(stopPrice)),
+  };
+  if (order.type === 'stop_limit') order.limit_price = String(roundOrderPrice(stopPrice * (1 - limitOffsetPct / 100)));
+  return order;
+}
+
+function toStopOrderState(order, request) {
+  return {
+    id: order.id,
+    status: order.status || 'new',
+    type: request.type,
+    qty: Number(request.qty),
+    stopPrice: Number(request.stop_price),
+    limitPrice: request.limit_price ? Number(request.limit_price) : null,
+    submittedAt: order.submitted_at || new Date().toISOString(),
+  };
+}
+
+// dry-run orders never reach the broker; their ids must never be sent to it
+function isDryRunOrder(order) {
+  return !!order && (order.status === 'dry-run' || String(order.id || '').startsWith('dry-run-'));
+}
+
+// Returns { order, audit }: order is the position's new stopOrder state (null when none), audit the log entry.
+// Never throws — broker errors end up in audit.status/audit.error and the previous order state is kept.
+async function syncStopOrder({ keys, settings, symbol, qty, stopPrice, existing = null }) {
+  const mode = settings?.mode === 'live' ? 'live' : 'paper';
+  const forcedDryRun = process.env.ALPACA_TRADING_DRY_RUN === 'true';
+  const dryRun = settings?.dryRun === true || forcedDryRun;
+  const wholeQty = Math.floor(Number(qty) || 0); // stop orders are whole-share only
+  const audit = { at: new Date().toISOString(), symbol, mode, dryRun, action: null, status: 'ok', orderId: existing?.id || null };
+  const previous = existing;
+
+  // dry-run switched off: the dry-run order is not at the broker, so a real one is created in its place
+  if (!dryRun && isDryRunOrder(existing)) {
+    audit.dryRunOrderId = existing.id;
+    audit.orderId = null;
+    existing = null;
+  }
+
+  let action;
+  if (!stopPrice || stopPrice <= 0 || wholeQty <= 0) action = existing ? 'cancel' : 'skip';
+  else action = existing ? 'replace' : 'create';
+  audit.action = action;
+
+  if (action === 'skip') {
+    audit.reason = wholeQty <= 0 ? 'no whole shares to protect' : 'no stop price';
+    return { order: null, audit };
+  }
+  const liveBlocked = mode === 'live' && process.env.ALPACA_LIVE_TRADING !== 'true';
+  if (liveBlocked && !dryRun) {
+    audit.status = 'rejected';
+    audit.reason = 'live trading disabled on server (ALPACA_LIVE_TRADING)';
+    return { order: previous, audit };
+  }
+
+  const request = action === 'cancel' ? null : buildStopOrder({ symbol, qty: wholeQty, stopPrice, orderType: settings?.orderType, limitOffsetPct: settings?.limitOffsetPct ?? 1 });
+  audit.request = request;
+  const realInDryRun = dryRun && !!existing && !isDryRunOrder(existing);
+
+  if (!realInDryRun && action === 'replace' && existing.qty === wholeQty && existing.stopPrice === Number(request.stop_price) && existing.type === request.type) {
+    audit.action = 'skip';
+    audit.reason = 'order already matches';
+    return { order: existing, audit };
+  }
+
+  if (dryRun) {
+    if (realInDryRun) {
+      // a real order placed before dry-run was switched on: cancel it so dry-run really manages nothing at the
+      // broker. When the server forces dry-run or blocks live trading the broker is not called — flag it instead.
+      if (forcedDryRun || liveBlocked) {
+        audit.action = 'skip';
+        audit.status = 'skipped'; // not 'ok', so the flag is kept in the order audit
+        audit.reason = `dry-run: broker order ${existing.id} is still open (would ${action}) — cancel it at Alpaca`;
+        return { order: existing, audit };
+      }
+      try {
+        await createTradingApi(keys, mode).delete(`/orders/${existing.id}`);
+      } catch (err) {
+        const status = err.response?.status;
+        // 404/422: already filled, cancelled or expired at the broker
+        if (status !== 404 && status !== 422) {
+          audit.status = 'error';
+          audit.error = err.response?.data?.message || err.message;
+          audit.httpStatus = status || null;
+          return { order: existing, audit };
+        }
+      }
+      audit.cancelledOrderId = existing.id;
+      audit.reason = 'dry-run: broker order cancelled';
+    }
+    if (action === 'cancel') return { order: null, audit };
+    const order = toStopOrderState({ id: `dry-run-${Date.now()}-${symbol}`, status: 'dry-run' }, request);
+    audit.orderId = order.id;
+    return { order, audit };
+  }
+
+  const api = createTradingApi(keys, mode);
+  try {
+    if (action === 'cancel') {
+      await api.delete(`/orders/${existing.id}`);
+      return { order: null, audit };
+    }
+    if (action === 'replace' && existing.type !== request.type) {
+      // PATCH cannot change the order type: cancel and submit a fresh one
+      await api.delete(`/orders/${existing.id}`);
+      const { data } = await api.post('/orders', request);
+      const order = toStopOrderState(data, request);
+      audit.orderId = order.id;
+      audit.replacedOrderId = existing.id;
+      return { order, audit };
+    }
+    if (action === 'replace') {
+      const patch = { qty: request.qty, stop_price: request.stop_price };
+      if (request.limit_price) patch.limit_price = request.limit_price;
+      const { data } = await api.patch(`/orders/${existing.id}`, patch);
+      const order = toStopOrderState(data, request);
+      audit.orderId = order.id;
+      audit.replacedOrderId = existing.id;
+      return { order, audit };
+    }
+    const { data } = await api.post('/orders', request);
+    const order = toStopOrderState(data, request);
+    audit.orderId = order.id;
+    return { order, audit };
+  } catch (err) {
+    const status = err.response?.status;
+    audit.status = 'error';
+    audit.error = err.response?.data?.message || err.message;
+    audit.httpStatus = status || null;
+    // 404/422 on an existing order: it was filled, cancelled or expired at the broker — forget it
+    if (existing && (status === 404 || status === 422)) return { order: null, audit };
+    return { order: existing, audit };
+  }
+}
+
+module.exports = { syncStopOrder, normalizeTradingSettings, buildStopOrder, tradingBaseURL, createTradingApi, isDryRunOrder };
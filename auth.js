@@ -0,0 +1,106 @@
+// auth.js
+// CommonJS module - Express middleware for user and admin authentication.
+// Users: bearer JWT verified with AUTH_JWT_SECRET (HS256) or a JWKS at AUTH_JWKS_URL; the user id is taken
+// from the AUTH_USER_CLAIM claim (default 'sub') and must match the :userId param / body.userId of the request.
+// Optional AUTH_JWT_ISSUER / AUTH_JWT_AUDIENCE are enforced when set.
+// Admin: ADMIN_API_KEY, sent as X-Admin-Key (or as the bearer token).
+// AUTH_DISABLED=true skips all checks (local development only).
+
+const crypto = require('crypto');
+const { jwtVerify, createRemoteJWKSet } = require('jose');
+
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+const JWT_SECRET = process.env.AUTH_JWT_SECRET || '';
+const JWKS_URL = process.env.AUTH_JWKS_URL || '';
+const USER_CLAIM = process.env.AUTH_USER_CLAIM || 'sub';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+
+const verifyKey = JWKS_URL
+  ? createRemoteJWKSet(new URL(JWKS_URL))
+  : (JWT_SECRET ? new TextEncoder().encode(JWT_SECRET) : null);
+
+const verifyOptions = {
+  ...(process.env.AUTH_JWT_ISSUER ? { issuer: process.env.AUTH_JWT_ISSUER } : {}),
+  ...(process.env.AUTH_JWT_AUDIENCE ? { audience: process.env.AUTH_JWT_AUDIENCE } : {}),
+  ...(JWKS_URL ? {} : { algorithms: ['HS256'] }),
+};
+
+function isConfigured() {
+  return AUTH_DISABLED || !!verifyKey;
+}
+
+function bearerToken(req) {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  // EventSource cannot send headers, so SSE clients pass ?access_token=
+  if (typeof req.query?.access_token === 'string') return req.query.access_token;
+  return null;
+}
+
+// Verifies a raw token; resolves to { userId, claims }. Throws on invalid/expired tokens.
+async function verifyUserToken(token) {
+  if (!verifyKey) throw new Error('auth not configured');
+  const { payload } = await jwtVerify(token, verifyKey, verifyOptions);
+  const userId = payload[USER_CLAIM];
+  if (!userId) throw new Error(`token has no ${USER_CLAIM} claim`);
+  return { userId: String(userId), claims: payload };
+}
+
+// the userId a request is acting on (route param wins over body)
+function requestedUserId(req) {
+  return req.params?.userId ?? req.body?.userId ?? null;
+}
+
+async function requireUser(req, res, next) {
+  if (AUTH_DISABLED) {
+    req.auth = { userId: requestedUserId(req), claims: null };
+    return next();
+  }
+  if (!verifyKey) return res.status(503).json({ error: 'Authentication not configured' });
+
+  const token = bearerToken(req);
+  if (!token) return res.status(401).json({ error: 'Missing bearer token' });
+
+  let auth;
+  try {
+    auth = await verifyUserToken(token);
+  } catch (e) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  const target = requestedUserId(req);
+  if (target !== null && String(target) !== auth.userId) return res.status(403).json({ error: 'Forbidden' });
+
+  req.auth = auth;
+  next();
+}
+
+// Same rules as requireUser for callers outside Express (the client WebSocket): resolves to { userId, claims }
+// or throws. With AUTH_DISABLED the requested user id is taken as is.
+async function authenticate(token, requestedUserId = null) {
+  if (AUTH_DISABLED) {
+    if (!requestedUserId) throw new Error('userId required');
+    return { userId: String(requestedUserId), claims: null };
+  }
+  if (!token) throw new Error('Missing bearer token');
+  const auth = await verifyUserToken(token);
+  if (requestedUserId !== null && requestedUserId !== undefined && String(requestedUserId) !== auth.userId) throw new Error('Forbidden');
+  return auth;
+}
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function requireAdmin(req, res, next) {
+  if (AUTH_DISABLED) return next();
+  if (!ADMIN_API_KEY) return res.status(503).json({ error: 'Admin credential not configured' });
+  const provided = req.get('X-Admin-Key') || bearerToken(req);
+  if (!provided || !safeEqual(provided, ADMIN_API_KEY)) return res.status(401).json({ error: 'Admin credential required' });
+  req.auth = { admin: true };
+  next();
+}
+
+module.exports = { requireUser, requireAdmin, verifyUserToken, authenticate, isConfigured };
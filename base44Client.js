@@ -1,4 +1,5 @@
 const axios = require('axios');
+const log = require('./logger').child({ subsystem: 'llm' });
 
 async function generateJSONFromBase44(prompt) {
   try {
@@ -17,7 +18,7 @@ async function generateJSONFromBase44(prompt) {
     const text = response.data.output || response.data.result || '';
     return JSON.parse(text);
   } catch (err) {
-    console.error('❌ Error from Base44 model:', err.message);
+    log.error('❌ Error from Base44 model:', err.message);
     throw err;
   }
 }
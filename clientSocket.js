@@ -0,0 +1,185 @@
+// clientSocket.js
+// CommonJS module - two-way WebSocket API for app clients, next to the one-way SSE stream (/events/:userId).
+// createClientSocketServer({ authenticate, handlers }) returns { attach(httpServer), send(userId, data), ... };
+// index.js attaches it to the Express server and feeds it everything pushUpdate() sends over SSE.
+//
+// Protocol: JSON text frames. Client requests carry an optional `id`, echoed in the reply:
+//   { id, type: 'auth', token }                      (or ?access_token= on the URL; userId too when auth is disabled)
+//   { id, type: 'subscribe', symbols?: [], events?: [] }   narrow what this connection receives
+//   { id, type: 'unsubscribe', symbols?: [], events?: [] }
+//   { id, type: 'recalc', symbol, kind? }            immediate risk recalculation for a held symbol
+//   { id, type: 'ping' }
+// Every request is answered with { type: 'ack', id, ok: true, ...result } or { type: 'ack', id, ok: false, error }.
+// Server messages are the SSE payloads ({ type: 'price' | 'risk-update' | 'stoploss-updated' | 'finnhub-event' | ... }).
+// With no symbol/event filter a connection gets everything for its user; filters only narrow it.
+
+const { WebSocketServer, WebSocket } = require('ws');
+
+function createClientSocketServer({
+  path = '/ws',
+  authenticate,             // async (token, requestedUserId) -> { userId }
+  handlers = {},            // { recalc: async (userId, message) -> result }
+  authTimeoutMs = 10 * 1000,
+  heartbeatMs = 30 * 1000,
+  maxPayload = 64 * 1024,
+  logger = console,
+} = {}) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload });
+  const clients = {}; // userId -> Set<ws>
+
+  function reply(ws, data) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    try { ws.send(JSON.stringify(data)); } catch (e) { logger.warn(`client socket send failed: ${e.message}`); }
+  }
+  const ack = (ws, id, result = {}) => reply(ws, { type: 'ack', id: id ?? null, ok: true, ...result });
+  const nack = (ws, id, error) => reply(ws, { type: 'ack', id: id ?? null, ok: false, error });
+
+  // false when the socket closed while its token was being verified: its close handler already ran, so adding it
+  // now would leave it in `clients` for good
+  function register(ws, userId) {
+    if (ws.readyState !== WebSocket.OPEN) return false;
+    ws.userId = userId;
+    (clients[userId] = clients[userId] || new Set()).add(ws);
+    clearTimeout(ws.authTimer);
+    logger.info(`🔌 client socket connected for ${userId}`);
+    return true;
+  }
+
+  function unregister(ws) {
+    clearTimeout(ws.authTimer);
+    if (!ws.userId || !clients[ws.userId]) return;
+    clients[ws.userId].delete(ws);
+    if (clients[ws.userId].size === 0) delete clients[ws.userId];
+    logger.info(`🔌 client socket closed for ${ws.userId}`);
+  }
+
+  const asList = (v) => (Array.isArray(v) ? v : v ? [v] : []).map(String);
+
+  async function handleMessage(ws, raw) {
+    let msg;
+    try { msg = JSON.parse(raw); } catch (e) { return nack(ws, null, 'invalid JSON'); }
+    if (!msg || typeof msg !== 'object' || typeof msg.type !== 'string') return nack(ws, msg?.id, 'type required');
+    const { id, type } = msg;
+
+    if (type === 'auth') {
+      if (ws.userId) return nack(ws, id, 'already authenticated');
+      if (ws.authPending) return nack(ws, id, 'authentication in progress');
+      ws.authPending = true;
+      let auth;
+      try {
+        auth = await authenticate(msg.token || null, msg.userId ?? null);
+      } catch (e) {
+        nack(ws, id, 'unauthorized');
+        return ws.close(4401, 'unauthorized');
+      } finally {
+        ws.authPending = false;
+      }
+      if (!register(ws, auth.userId)) return;
+      ack(ws, id, { userId: auth.userId });
+      return reply(ws, { type: 'ready', userId: auth.userId });
+    }
+    if (!ws.userId) return nack(ws, id, 'authenticate first');
+
+    switch (type) {
+      case 'ping':
+        return ack(ws, id, { ts: Date.now() });
+      case 'subscribe':
+        for (const s of asList(msg.symbols)) ws.filters.symbols.add(s.toUpperCase());
+        for (const e of asList(msg.events)) ws.filters.events.add(e);
+        return ack(ws, id, { symbols: [...ws.filters.symbols], events: [...ws.filters.events] });
+      case 'unsubscribe':
+        for (const s of asList(msg.symbols)) ws.filters.symbols.delete(s.toUpperCase());
+        for (const e of asList(msg.events)) ws.filters.events.delete(e);
+        return ack(ws, id, { symbols: [...ws.filters.symbols], events: [...ws.filters.events] });
+      default: {
+        const handler = handlers[type];
+        if (!handler) return nack(ws, id, `unknown type: ${type}`);
+        try {
+          return ack(ws, id, await handler(ws.userId, msg));
+        } catch (e) {
+          return nack(ws, id, e.message);
+        }
+      }
+    }
+  }
+
+  wss.on('connection', async (ws, req) => {
+    ws.isAlive = true;
+    ws.filters = { symbols: new Set(), events: new Set() };
+    ws.on('pong', () => { ws.isAlive = true; });
+    ws.on('message', (raw) => handleMessage(ws, raw.toString()).catch(e => logger.error('client socket message error', e.message)));
+    ws.on('close', () => unregister(ws));
+    ws.on('error', (e) => logger.warn(`client socket error: ${e.message}`));
+
+    // token on the URL authenticates right away; otherwise the first message must be { type: 'auth' }
+    const url = new URL(req.url, 'http://localhost');
+    const token = url.searchParams.get('access_token');
+    const requested = url.searchParams.get('userId');
+    if (token || requested) {
+      ws.authPending = true; // an { type: 'auth' } message sent meanwhile is refused
+      try {
+        const auth = await authenticate(token, requested);
+        if (register(ws, auth.userId)) reply(ws, { type: 'ready', userId: auth.userId });
+      } catch (e) {
+        ws.close(4401, 'unauthorized');
+      } finally {
+        ws.authPending = false;
+      }
+      return;
+    }
+    ws.authTimer = setTimeout(() => { if (!ws.userId) ws.close(4408, 'authentication timeout'); }, authTimeoutMs);
+  });
+
+  // drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) { ws.terminate(); continue; }
+      ws.isAlive = false;
+      try { ws.ping(); } catch (e) { /* closing */ }
+    }
+  }, heartbeatMs);
+  heartbeat.unref?.();
+
+  function attach(server) {
+    server.on('upgrade', (req, socket, head) => {
+      // the only upgrade handler on the server: anything else would hang open forever
+      if (new URL(req.url, 'http://localhost').pathname !== path) {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+        return;
+      }
+      wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+    });
+  }
+
+  function wants(ws, data) {
+    if (ws.filters.events.size && !ws.filters.events.has(data.type)) return false;
+    const symbol = data.symbol || data.ticker;
+    if (ws.filters.symbols.size && symbol && !ws.filters.symbols.has(String(symbol).toUpperCase())) return false;
+    return true;
+  }
+
+  // -> number of connections the message went to; messages without a type are not forwarded
+  function send(userId, data) {
+    if (!clients[userId] || !data?.type) return 0;
+    let sent = 0;
+    for (const ws of clients[userId]) {
+      if (!wants(ws, data)) continue;
+      reply(ws, data);
+      sent++;
+    }
+    return sent;
+  }
+
+  function clientCount() {
+    return Object.values(clients).reduce((n, set) => n + set.size, 0);
+  }
+
+  function close() {
+    clearInterval(heartbeat);
+    for (const ws of wss.clients) ws.close(1001, 'server shutting down');
+  }
+
+  return { attach, send, clientCount, hasClients: (userId) => !!clients[userId]?.size, close };
+}
+
+module.exports = { createClientSocketServer };
@@ -0,0 +1,106 @@
+// credentials.js
+// CommonJS module - at-rest encryption for broker credentials (alpacaKeys) and redaction helpers.
+// AES-256-GCM with a server-side master key: CREDENTIALS_MASTER_KEY (any string; a 256-bit key is derived from it).
+// Rotation: set the new key as CREDENTIALS_MASTER_KEY and the old one(s) in CREDENTIALS_PREVIOUS_KEYS (comma separated),
+// then run `npm run rotate-credentials` (or just restart — blobs under an old key are re-encrypted on restore).
+
+const crypto = require('crypto');
+
+const ALGO = 'aes-256-gcm';
+const BLOB_VERSION = 1;
+
+function deriveKey(secret) {
+  const key = crypto.createHash('sha256').update(String(secret)).digest();
+  const kid = crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+  return { kid, key };
+}
+
+function loadKeyring() {
+  const current = process.env.CREDENTIALS_MASTER_KEY ? deriveKey(process.env.CREDENTIALS_MASTER_KEY) : null;
+  const previous = (process.env.CREDENTIALS_PREVIOUS_KEYS || '').split(',').map(k => k.trim()).filter(Boolean).map(deriveKey);
+  const byKid = {};
+  for (const k of [current, ...previous]) if (k) byKid[k.kid] = k.key;
+  return { current, byKid };
+}
+
+let keyring = loadKeyring();
+
+function isConfigured() {
+  return !!keyring.current;
+}
+
+function isEncrypted(value) {
+  return !!value && typeof value === 'object' && value.v === BLOB_VERSION && typeof value.data === 'string';
+}
+
+// last 4 chars of the key id, so clients can tell which key is configured without seeing it
+function keyHint(creds) {
+  const id = String(creds?.key || '');
+  return id ? `…${id.slice(-4)}` : null;
+}
+
+// { key, secret } -> { v, kid, iv, tag, data, hint }
+function encryptCredentials(creds) {
+  if (!keyring.current) throw new Error('CREDENTIALS_MASTER_KEY not set');
+  if (!creds || !creds.key || !creds.secret) throw new Error('credentials must have key and secret');
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGO, keyring.current.key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify({ key: creds.key, secret: creds.secret }), 'utf8'), cipher.final()]);
+  return {
+    v: BLOB_VERSION,
+    kid: keyring.current.kid,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+    hint: keyHint(creds),
+  };
+}
+
+// blob -> { key, secret }. Legacy plaintext objects are passed through so old state still works until migrated.
+function decryptCredentials(blob) {
+  if (!blob) return null;
+  if (!isEncrypted(blob)) return blob.key && blob.secret ? { key: blob.key, secret: blob.secret } : null;
+  const key = keyring.byKid[blob.kid];
+  if (!key) throw new Error(`no master key for credentials kid=${blob.kid}`);
+  const decipher = crypto.createDecipheriv(ALGO, key, Buffer.from(blob.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(blob.tag, 'base64'));
+  const plain = Buffer.concat([decipher.update(Buffer.from(blob.data, 'base64')), decipher.final()]).toString('utf8');
+  return JSON.parse(plain);
+}
+
+// true when the blob is plaintext or sealed with a non-current key
+function needsReencrypt(blob) {
+  if (!blob || !keyring.current) return false;
+  return !isEncrypted(blob) || blob.kid !== keyring.current.kid;
+}
+
+function reencryptCredentials(blob) {
+  return encryptCredentials(decryptCredentials(blob));
+}
+
+// ---------- redaction ----------
+const SENSITIVE_KEYS = new Set(['secret', 'password', 'pass', 'privatekey', 'token', 'access_token', 'apikey', 'api_key', 'authorization']);
+
+// Deep copy with secrets removed. alpacaKeys collapse to { configured, hint } so the UI can still show state.
+function redactSecrets(value, depth = 0) {
+  if (value === null || typeof value !== 'object' || depth > 12) return value;
+  if (Array.isArray(value)) return value.map(v => redactSecrets(v, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (k === 'alpacaKeys') out[k] = v ? { configured: true, hint: v.hint ?? keyHint(v) } : v;
+    else if (SENSITIVE_KEYS.has(k.toLowerCase())) out[k] = v ? '[REDACTED]' : v;
+    else out[k] = redactSecrets(v, depth + 1);
+  }
+  return out;
+}
+
+module.exports = {
+  isConfigured,
+  isEncrypted,
+  encryptCredentials,
+  decryptCredentials,
+  needsReencrypt,
+  reencryptCredentials,
+  redactSecrets,
+  reloadKeyring: () => { keyring = loadKeyring(); },
+};
@@ -0,0 +1,151 @@
+// digestService.js
+// CommonJS module - daily / weekly portfolio digest e-mails.
+// buildDigest() gathers the period's numbers from state index.js already keeps (positions, value snapshots,
+// risk history, stop moves, breaches, news); renderDigestHtml() turns them into a self-contained HTML e-mail.
+// Templates are direction-aware: dir/lang on <html>, logical CSS (text-align: start, padding-inline-start) and
+// <bdi> around tickers and amounts so LTR fragments stay intact inside Hebrew text. Labels are the digest.* keys
+// of the i18n catalogs; amounts and dates are formatted for the recipient's locale.
+
+const { t, dir, formatNumber, formatCurrency, formatPercent, formatDate, escapeHtml } = require('./i18n');
+
+const PERIODS = { daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+const MAX_NEWS = 8;
+const MAX_STOP_MOVES = 10; // rows in the stops section; the rest are summed up in one "+N more" line
+
+// only http(s) news URLs become links (no javascript:, data:, mailto: ... in an e-mail)
+function isLinkable(url) {
+  try { return ['http:', 'https:'].includes(new URL(url).protocol); } catch (e) { return false; }
+}
+
+// activity keeps one stop-moved entry per symbol per day; the digest folds them into one row per position
+function foldStopMoves(entries) {
+  const bySymbol = new Map();
+  for (const a of [...entries].sort((x, y) => x.at - y.at)) {
+    const key = `${a.kind}:${a.symbol}`;
+    const row = bySymbol.get(key);
+    if (!row) bySymbol.set(key, { symbol: a.symbol, kind: a.kind, from: a.from, to: a.to, moves: a.moves || 1, at: a.at, lastAt: a.lastAt ?? a.at });
+    else Object.assign(row, { to: a.to, moves: row.moves + (a.moves || 1), lastAt: a.lastAt ?? a.at });
+  }
+  return [...bySymbol.values()].sort((a, b) => b.lastAt - a.lastAt);
+}
+
+// user: userPortfolios[userId]; breaches / activity / valueHistory: that user's lists; riskHistory: createRiskHistory()
+function buildDigest({ userId, period = 'daily', now = Date.now(), user, breaches = [], activity = [], valueHistory = [], riskHistory = null }) {
+  const from = now - (PERIODS[period] || PERIODS.daily);
+  const inPeriod = (at) => { const ms = typeof at === 'number' ? at : Date.parse(at); return ms >= from && ms <= now; };
+
+  const positions = [];
+  const news = [];
+  for (const kind of ['manual', 'alpaca']) {
+    for (const [symbol, s] of Object.entries(user?.[kind]?.stocks || {})) {
+      const shares = Number(s.shares || s.quantity || 0);
+      const entry = Number(s.entryPrice || s.entry_price || 0);
+      const price = Number(s.lastPrice || entry || 0);
+      positions.push({ symbol, kind, shares, entryPrice: entry, price, value: shares * price, pnl: shares * (price - entry), stopLoss: s.stopLoss ?? null, risk: s.overallRisk ?? null });
+      for (const ev of s.analysis?.explanation?.newsEvents || []) {
+        if (ev.datetime && inPeriod(ev.datetime * 1000)) news.push({ symbol, headline: ev.headline, event: ev.event, severity: ev.severity, at: ev.datetime * 1000, url: ev.url });
+      }
+    }
+  }
+  for (const a of activity) {
+    if (a.type === 'news-event' && inPeriod(a.at)) news.push({ symbol: a.symbol, headline: a.headline, event: a.event ?? null, severity: null, at: a.at, url: a.url ?? null });
+  }
+  const seenHeadlines = new Set();
+  const uniqueNews = news
+    .sort((a, b) => (b.severity ?? 0) - (a.severity ?? 0) || b.at - a.at)
+    .filter(n => !seenHeadlines.has(n.headline) && seenHeadlines.add(n.headline))
+    .slice(0, MAX_NEWS);
+
+  const value = positions.reduce((sum, p) => sum + p.value, 0);
+  const pnl = positions.reduce((sum, p) => sum + p.pnl, 0);
+  // value at the start of the period: latest snapshot at or before `from`, else the oldest one inside the period
+  const base = [...valueHistory].reverse().find(v => v.at <= from) || valueHistory.find(v => inPeriod(v.at)) || null;
+  const change = base ? { amount: value - base.value, pct: base.value > 0 ? (value - base.value) / base.value : null, since: base.at } : null;
+
+  const riskChanges = [];
+  if (riskHistory) {
+    for (const symbol of new Set(positions.map(p => p.symbol))) {
+      const points = riskHistory.range(symbol, null, now);
+      const start = [...points].reverse().find(p => p.at <= from) || points.find(p => p.at >= from);
+      const end = points[points.length - 1];
+      if (start && end && end.score !== start.score) riskChanges.push({ symbol, from: start.score, to: end.score, delta: end.score - start.score });
+    }
+    riskChanges.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+  }
+
+  const stopMoves = foldStopMoves(activity.filter(a => a.type === 'stop-moved' && inPeriod(a.lastAt ?? a.at)));
+
+  return {
+    userId,
+    period,
+    from,
+    to: now,
+    value,
+    pnl,
+    change,
+    positions: positions.sort((a, b) => b.value - a.value),
+    riskChanges,
+    stopsMoved: stopMoves.slice(0, MAX_STOP_MOVES),
+    moreStopsMoved: Math.max(0, stopMoves.length - MAX_STOP_MOVES),
+    breaches: breaches.filter(b => inPeriod(b.triggeredAt)),
+    news: uniqueNews,
+  };
+}
+
+function digestSubject(digest, locale) {
+  return `${t(locale, `digest.subject.${digest.period}`)} · ${formatCurrency(locale, digest.value)}`;
+}
+
+function renderDigestHtml(digest, locale) {
+  const L = (key) => escapeHtml(t(locale, `digest.${key}`));
+  const money = (v) => formatCurrency(locale, v);
+  const signedMoney = (v) => formatCurrency(locale, v, 'USD', { signDisplay: 'always' });
+  const b = (v) => `<bdi>${escapeHtml(v)}</bdi>`;
+  const section = (title, items) => `
+    <h3 style="margin:24px 0 8px;font-size:16px;">${title}</h3>
+    ${items.length ? `<ul style="margin:0;padding-inline-start:20px;">${items.map(i => `<li style="margin:4px 0;">${i}</li>`).join('')}</ul>` : `<p style="color:#777;margin:0;">${L('none')}</p>`}`;
+  const cell = 'style="padding:6px 8px;border-bottom:1px solid #eee;text-align:start;"';
+
+  const rows = digest.positions.map(p => `
+      <tr>
+        <td ${cell}>${b(p.symbol)}</td>
+        <td ${cell}>${b(formatNumber(locale, p.shares))}</td>
+        <td ${cell}>${b(money(p.price))}</td>
+        <td ${cell}>${b(signedMoney(p.pnl))}</td>
+        <td ${cell}>${b(p.stopLoss !== null ? money(p.stopLoss) : '—')}</td>
+        <td ${cell}>${b(p.risk !== null ? `${p.risk}/10` : '—')}</td>
+      </tr>`).join('');
+  const change = digest.change ? `${signedMoney(digest.change.amount)} (${formatPercent(locale, digest.change.pct, { signDisplay: 'always' })})` : '—';
+
+  return `<!DOCTYPE html>
+<html lang="${locale}" dir="${dir(locale)}">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${L(`subject.${digest.period}`)}</title></head>
+<body style="margin:0;padding:0;background:#f5f6f8;font-family:Arial,Helvetica,sans-serif;color:#222;">
+  <div dir="${dir(locale)}" style="max-width:640px;margin:0 auto;padding:24px;background:#fff;text-align:start;">
+    <h2 style="margin:0 0 4px;">${L(`title.${digest.period}`)}</h2>
+    <p style="margin:0 0 16px;color:#777;">${b(`${formatDate(locale, digest.from)} – ${formatDate(locale, digest.to)}`)}</p>
+    <table role="presentation" style="width:100%;border-collapse:collapse;margin-bottom:8px;">
+      <tr>
+        <td style="padding:8px;"><div style="color:#777;font-size:12px;">${L('value')}</div><div style="font-size:20px;">${b(money(digest.value))}</div></td>
+        <td style="padding:8px;"><div style="color:#777;font-size:12px;">${L('pnl')}</div><div style="font-size:20px;">${b(signedMoney(digest.pnl))}</div></td>
+        <td style="padding:8px;"><div style="color:#777;font-size:12px;">${L('change')}</div><div style="font-size:20px;">${b(change)}</div></td>
+      </tr>
+    </table>
+    <h3 style="margin:24px 0 8px;font-size:16px;">${L('positions')}</h3>
+    <table style="width:100%;border-collapse:collapse;font-size:14px;">
+      <tr>${['symbol', 'shares', 'price', 'pnl', 'stop', 'risk'].map(h => `<th ${cell}>${L(h)}</th>`).join('')}</tr>${rows}
+    </table>
+    ${section(L('riskChanges'), digest.riskChanges.map(r => `${b(r.symbol)}: ${b(`${r.from}/10 → ${r.to}/10`)}`))}
+    ${section(L('stopsMoved'), [
+      ...digest.stopsMoved.map(s => `${b(s.symbol)}: ${b(`${s.from !== null ? money(s.from) : '—'} → ${money(s.to)}`)}${s.moves > 1 ? ` (${escapeHtml(t(locale, 'digest.moves', { count: formatNumber(locale, s.moves) }))})` : ''}`),
+      ...(digest.moreStopsMoved ? [escapeHtml(t(locale, 'digest.more', { count: formatNumber(locale, digest.moreStopsMoved) }))] : []),
+    ])}
+    ${section(L('breaches'), digest.breaches.map(x => `${b(x.symbol)}: ${b(`${money(x.price)} ≤ ${money(x.stopLoss)}`)}`))}
+    ${section(L('news'), digest.news.map(n => `${b(n.symbol)} — ${isLinkable(n.url) ? `<a href="${escapeHtml(n.url)}">${escapeHtml(n.headline)}</a>` : escapeHtml(n.headline)}`))}
+    <p style="margin:32px 0 0;color:#999;font-size:12px;">${L('footer')}</p>
+  </div>
+</body>
+</html>`;
+}
+
+module.exports = { PERIODS, buildDigest, renderDigestHtml, digestSubject };
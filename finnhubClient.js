@@ -0,0 +1,204 @@
+// finnhubClient.js
+// CommonJS module - the one way to call the Finnhub REST API (riskAnalyzer, news/earnings polling, quotes).
+// Every request takes a token from a shared bucket sized to the plan (FINNHUB_RATE_LIMIT calls per minute, 60 on
+// the free tier) and waits in a priority lane until one is free:
+//   'live'       quotes for open positions
+//   'user'       someone is waiting on the response (risk routes, client recalc requests)
+//   'background' polling and scheduled recalculations
+// A 429 pauses the whole bucket until Retry-After / X-Ratelimit-Reset (or an exponential backoff when neither is
+// sent) and the request goes back to the head of its lane, up to FINNHUB_MAX_RETRIES times.
+// Identical requests (same path + params) that are queued or in flight share one HTTP call; a higher-priority
+// caller joining a queued request moves it up to its own lane.
+// The 'user' and 'background' lanes are bounded (FINNHUB_MAX_USER_QUEUE / FINNHUB_MAX_QUEUE requests waiting ahead of
+// them); past that a request is refused with code EQUEUEFULL instead of waiting for minutes.
+// The default export is the shared client; createFinnhubClient() builds a separate one (another key, scripts).
+
+const axios = require('axios');
+const log = require('./logger').child({ subsystem: 'finnhub' });
+
+const FINNHUB_API = 'https://finnhub.io/api/v1';
+const PRIORITIES = ['live', 'user', 'background']; // lane order, highest first
+const FINNHUB_RATE_LIMIT = Number(process.env.FINNHUB_RATE_LIMIT || 60); // calls per minute for the API key
+const FINNHUB_BURST = Number(process.env.FINNHUB_BURST || 10); // calls that may go out back to back
+const FINNHUB_MAX_RETRIES = Number(process.env.FINNHUB_MAX_RETRIES || 3); // 429 retries before the caller gets the error
+const FINNHUB_MAX_QUEUE = Number(process.env.FINNHUB_MAX_QUEUE || 500); // background requests are refused past this many waiting
+const FINNHUB_MAX_USER_QUEUE = Number(process.env.FINNHUB_MAX_USER_QUEUE || 100); // same for the 'user' lane ('live' is never refused)
+const MAX_PAUSE_MS = 2 * 60 * 1000; // never trust a reset header further out than this
+
+// how long to pause after a 429: Retry-After (seconds or HTTP date), then X-Ratelimit-Reset (epoch seconds), then 1s, 2s, 4s...
+function retryDelayMs(err, attempt, now = Date.now()) {
+  const headers = err.response?.headers || {};
+  let wait = null;
+  const retryAfter = headers['retry-after'];
+  if (retryAfter !== undefined && retryAfter !== '') {
+    wait = Number.isFinite(Number(retryAfter)) ? Number(retryAfter) * 1000 : Date.parse(retryAfter) - now;
+  }
+  const reset = Number(headers['x-ratelimit-reset']);
+  if (!Number.isFinite(wait) && Number.isFinite(reset) && reset > 0) wait = reset * 1000 - now;
+  if (!Number.isFinite(wait) || wait <= 0) wait = 1000 * 2 ** attempt;
+  return Math.min(wait, MAX_PAUSE_MS);
+}
+
+// path + params without the token, params sorted so { a, b } and { b, a } coalesce
+function requestKey(path, params) {
+  const entries = Object.entries(params).filter(([, v]) => v !== undefined && v !== null).sort(([a], [b]) => a.localeCompare(b));
+  return `${path}?${new URLSearchParams(entries.map(([k, v]) => [k, String(v)])).toString()}`;
+}
+
+function createFinnhubClient({
+  apiKey = process.env.FINNHUB_API_KEY || '',
+  baseUrl = FINNHUB_API,
+  ratePerMinute = FINNHUB_RATE_LIMIT,
+  burst = FINNHUB_BURST,
+  maxRetries = FINNHUB_MAX_RETRIES,
+  maxQueue = { user: FINNHUB_MAX_USER_QUEUE, background: FINNHUB_MAX_QUEUE }, // per lane; a lane without an entry is unbounded
+  timeoutMs = 10 * 1000,
+  http = axios,
+  logger = log,
+} = {}) {
+  const lanes = Object.fromEntries(PRIORITIES.map(p => [p, []]));
+  const pending = new Map(); // requestKey -> job, while queued or in flight
+  const observers = [];
+  const refillMs = 60 * 1000 / ratePerMinute;
+  const counters = { requests: 0, coalesced: 0, rateLimited: 0, failed: 0, refused: 0 };
+  let tokens = burst;
+  let refilledAt = Date.now();
+  let pausedUntil = 0;
+  let inFlight = 0;
+  let timer = null;
+
+  const queued = () => PRIORITIES.reduce((n, p) => n + lanes[p].length, 0);
+
+  function refill(now) {
+    const added = Math.floor((now - refilledAt) / refillMs);
+    if (added > 0) {
+      tokens = Math.min(burst, tokens + added);
+      refilledAt += added * refillMs;
+    }
+    if (tokens >= burst) refilledAt = now;
+  }
+
+  function wakeIn(ms) {
+    if (timer) return;
+    timer = setTimeout(() => { timer = null; drain(); }, Math.max(0, Math.ceil(ms)));
+  }
+
+  function drain() {
+    const now = Date.now();
+    if (now < pausedUntil) return wakeIn(pausedUntil - now);
+    refill(now);
+    while (tokens > 0) {
+      const lane = PRIORITIES.find(p => lanes[p].length);
+      if (!lane) return;
+      tokens--;
+      run(lanes[lane].shift());
+    }
+    if (queued()) wakeIn(refillMs - (now - refilledAt));
+  }
+
+  function notify(job, outcome, status, started) {
+    const result = { endpoint: job.path, priority: job.priority, outcome, status, seconds: (Date.now() - started) / 1000 };
+    for (const fn of observers) {
+      try { fn(result); } catch (e) { /* an observer must not break requests */ }
+    }
+  }
+
+  function finish(job, err, data) {
+    pending.delete(job.key);
+    if (err) job.reject(err);
+    else job.resolve(data);
+  }
+
+  async function run(job) {
+    job.state = 'running';
+    inFlight++;
+    counters.requests++;
+    const started = Date.now();
+    try {
+      const resp = await http.get(`${baseUrl}/${job.path}`, { params: { ...job.params, token: apiKey }, timeout: job.timeout });
+      notify(job, 'ok', resp.status, started);
+      finish(job, null, resp.data);
+    } catch (err) {
+      const status = err.response?.status;
+      if (status === 429) {
+        counters.rateLimited++;
+        notify(job, 'rate-limited', status, started);
+        if (job.attempt < maxRetries) {
+          const wait = retryDelayMs(err, job.attempt++);
+          pausedUntil = Math.max(pausedUntil, Date.now() + wait);
+          tokens = 0;
+          logger.warn(`⏳ Finnhub rate limit on ${job.path} — pausing all requests for ${Math.ceil(wait / 1000)}s (retry ${job.attempt}/${maxRetries})`);
+          job.state = 'queued';
+          lanes[job.priority].unshift(job);
+          return;
+        }
+      } else notify(job, 'error', status, started);
+      counters.failed++;
+      finish(job, err);
+    } finally {
+      inFlight--;
+      drain();
+    }
+  }
+
+  // the lane and everything ahead of it; lower lanes don't count against a higher one
+  function queueFull(priority) {
+    const limit = maxQueue[priority];
+    if (!(limit >= 0)) return false;
+    return PRIORITIES.slice(0, PRIORITIES.indexOf(priority) + 1).reduce((n, p) => n + lanes[p].length, 0) >= limit;
+  }
+
+  // -> Promise of the response body. opts.priority: 'live' | 'user' | 'background' (default 'user')
+  function get(path, params = {}, { priority = 'user', timeout = timeoutMs } = {}) {
+    if (!apiKey) return Promise.reject(new Error('FINNHUB_API_KEY not set'));
+    if (!lanes[priority]) return Promise.reject(new Error(`unknown Finnhub priority: ${priority}`));
+    const key = requestKey(path, params);
+    const existing = pending.get(key);
+    if (existing) {
+      counters.coalesced++;
+      if (existing.state === 'queued' && PRIORITIES.indexOf(priority) < PRIORITIES.indexOf(existing.priority)) {
+        lanes[existing.priority].splice(lanes[existing.priority].indexOf(existing), 1);
+        existing.priority = priority;
+        lanes[priority].push(existing);
+      }
+      return existing.promise;
+    }
+    if (queueFull(priority)) {
+      counters.refused++;
+      return Promise.reject(Object.assign(new Error(`Finnhub ${priority} queue full (${maxQueue[priority]} waiting)`), { code: 'EQUEUEFULL' }));
+    }
+    const job = { key, path, params, priority, timeout, attempt: 0, state: 'queued' };
+    job.promise = new Promise((resolve, reject) => { job.resolve = resolve; job.reject = reject; });
+    pending.set(key, job);
+    lanes[priority].push(job);
+    drain();
+    return job.promise;
+  }
+
+  function stats() {
+    refill(Date.now());
+    return {
+      ratePerMinute,
+      burst,
+      tokens,
+      inFlight,
+      queued: Object.fromEntries(PRIORITIES.map(p => [p, lanes[p].length])),
+      maxQueue,
+      pausedForSec: Math.max(0, Math.ceil((pausedUntil - Date.now()) / 1000)),
+      ...counters,
+    };
+  }
+
+  return {
+    get,
+    stats,
+    queueFull,
+    // observe(fn): fn({ endpoint, priority, outcome: 'ok' | 'error' | 'rate-limited', status, seconds }) after every HTTP call
+    observe: (fn) => { observers.push(fn); },
+    close: () => { if (timer) clearTimeout(timer); timer = null; },
+  };
+}
+
+module.exports = createFinnhubClient();
+module.exports.createFinnhubClient = createFinnhubClient;
+module.exports.PRIORITIES = PRIORITIES;
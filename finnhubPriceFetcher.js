@@ -1,12 +1,14 @@
-const axios = require('axios');
+const finnhub = require('./finnhubClient');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+const log = require('./logger').child({ subsystem: 'stream' });
 
+// quotes take the 'live' lane of the shared Finnhub rate limiter
 async function getRealTimePrice(symbol) {
-  const url = `https://finnhub.io/api/v1/quote?symbol=${symbol}&token=${process.env.FINNHUB_API_KEY}`;
   try {
-    const response = await axios.get(url);
-    return response.data.c; // מחיר נוכחי
+    const data = await finnhub.get('quote', { symbol }, { priority: 'live' });
+    return data.c; // מחיר נוכחי
   } catch (error) {
-    console.error(`שגיאה בשליפת מחיר מ-Finnhub עבור ${symbol}:`, error.message);
+    log.error(t(DEFAULT_LOCALE, 'prices.finnhubFailed', { symbol, error: error.message }));
     throw error;
   }
 }
@@ -0,0 +1,107 @@
+// finnhubSubscriptions.js
+// CommonJS module - which symbols get one of the Finnhub WebSocket slots, and REST polling for the rest.
+// index.js calls sync(holdings) whenever portfolios change, with { SYMBOL: { refs, value } } where refs counts the
+// portfolios (user x manual/alpaca) holding the symbol. Symbols are ranked by refs, then position value; the top
+// `limit` are subscribed on the socket, the overflow is polled over REST in a rotation (a few symbols per tick).
+// A symbol whose refs drop to zero is unsubscribed. While the socket is down every held symbol is polled.
+
+function createSubscriptionManager({
+  limit = 30,
+  send = () => {},          // (type: 'subscribe' | 'unsubscribe', symbol) -> sends on the socket
+  isOpen = () => false,     // socket open?
+  fetchPrice,               // async symbol -> price
+  onPrice = () => {},       // (symbol, price) for polled prices
+  pollIntervalMs = 15 * 1000,
+  pollBatchSize = 5,
+  logger = console,
+} = {}) {
+  let holdings = {};        // SYMBOL -> { refs, value }
+  let live = new Set();     // symbols that should hold a socket slot
+  let overflow = [];        // held symbols without a slot, in priority order
+  let cursor = 0;           // rotation position in the poll list
+  let timer = null;
+  let polling = false;
+
+  function trySend(type, symbol) {
+    if (!isOpen()) return; // resubscribe() replays the live set on (re)connect
+    try { send(type, symbol); } catch (e) { logger.error(`Failed to send ${type} for ${symbol}: ${e.message}`); }
+  }
+
+  // refs desc, value desc; a symbol that already has a slot wins ties so equal symbols don't swap back and forth
+  function rank(symbols) {
+    return symbols.sort((a, b) => (holdings[b].refs - holdings[a].refs)
+      || ((holdings[b].value || 0) - (holdings[a].value || 0))
+      || (live.has(b) - live.has(a))
+      || a.localeCompare(b));
+  }
+
+  function sync(next) {
+    holdings = {};
+    for (const [symbol, h] of Object.entries(next || {})) if (h.refs > 0) holdings[symbol] = { refs: h.refs, value: h.value || 0 };
+
+    const ranked = rank(Object.keys(holdings));
+    const nextLive = new Set(ranked.slice(0, limit));
+    for (const symbol of live) {
+      if (nextLive.has(symbol)) continue;
+      trySend('unsubscribe', symbol);
+      logger.info(holdings[symbol] ? `⬇️ ${symbol} moved to REST polling (slot taken by a higher-priority symbol)` : `🔕 Unsubscribed from live ticker ${symbol}`);
+    }
+    for (const symbol of nextLive) {
+      if (live.has(symbol)) continue;
+      trySend('subscribe', symbol);
+      logger.info(`🔔 Subscribed to live ticker ${symbol}`);
+    }
+    live = nextLive;
+    const prevOverflow = overflow.length;
+    overflow = ranked.slice(limit);
+    if (overflow.length && overflow.length !== prevOverflow) logger.warn(`⚠️ ${overflow.length} symbols over the live limit (${limit}) — polled over REST every ${Math.round(pollIntervalMs / 1000)}s in batches of ${pollBatchSize}`);
+  }
+
+  // after (re)connect: the socket has no subscriptions of its own
+  function resubscribe() {
+    for (const symbol of live) trySend('subscribe', symbol);
+  }
+
+  async function pollOnce() {
+    if (polling || !fetchPrice) return;
+    const targets = isOpen() ? overflow : rank(Object.keys(holdings));
+    if (!targets.length) return;
+    polling = true;
+    try {
+      if (cursor >= targets.length) cursor = 0;
+      const batch = targets.slice(cursor, cursor + pollBatchSize);
+      cursor += batch.length;
+      for (const symbol of batch) {
+        try {
+          const price = await fetchPrice(symbol);
+          if (typeof price === 'number' && price > 0) await onPrice(symbol, price);
+        } catch (e) { logger.warn(`overflow poll failed for ${symbol}: ${e.message}`); }
+      }
+    } finally { polling = false; }
+  }
+
+  function start() {
+    if (timer || pollIntervalMs <= 0) return;
+    timer = setInterval(() => pollOnce().catch(e => logger.error('overflow poll error', e.message)), pollIntervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function status() {
+    return {
+      limit,
+      live: [...live],
+      overflow: [...overflow],
+      polling: isOpen() ? overflow.length : Object.keys(holdings).length,
+      refs: Object.fromEntries(Object.entries(holdings).map(([s, h]) => [s, h.refs])),
+    };
+  }
+
+  return { sync, resubscribe, pollOnce, start, stop, status, isLive: (symbol) => live.has(symbol) };
+}
+
+module.exports = { createSubscriptionManager };
@@ -1,4 +1,13 @@
-import fetch from "node-fetch";
+const fetch = require('node-fetch');
+const log = require('./logger').child({ subsystem: 'llm' });
+
+// המודל מחזיר לפעמים טקסט מסביב ל-JSON — לוקחים את האובייקט הראשון
+function extractJSON(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new Error('no JSON object in model output');
+  return JSON.parse(text.slice(start, end + 1));
+}
 
 async function generateJSONFromHF(prompt) {
   try {
@@ -10,7 +19,7 @@ async function generateJSONFromHF(prompt) {
           "Authorization": `Bearer ${process.env.HUGGINGFACE_API_KEY}`,
           "Content-Type": "application/json"
         },
-        body: JSON.stringify({ inputs: prompt })
+        body: JSON.stringify({ inputs: prompt, parameters: { return_full_text: false } })
       }
     );
 
@@ -22,11 +31,11 @@ async function generateJSONFromHF(prompt) {
 
     // המודל מחזיר מערך עם generated_text
     const output = data[0]?.generated_text || "";
-    return JSON.parse(output);
+    return extractJSON(output);
   } catch (err) {
-    console.error("❌ Error in Hugging Face request:", err.message);
-    return {};
+    log.error("❌ Error in Hugging Face request:", err.message);
+    throw err;
   }
 }
 
-export { generateJSONFromHF };
\ No newline at end of file
+module.exports = { generateJSONFromHF, extractJSON };
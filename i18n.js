@@ -0,0 +1,93 @@
+// i18n.js
+// CommonJS module - message catalogs (locales/<locale>.json), interpolation and locale-aware formatting.
+// t(locale, 'notify.priceDrop.title', { symbol }) looks the dotted key up in the locale's catalog, falls back to
+// DEFAULT_LOCALE and then to the key itself, and fills {placeholders} from params.
+// Users carry a `locale` on their portfolio entry; anything without one uses DEFAULT_LOCALE.
+
+const CATALOGS = {
+  he: require('./locales/he.json'),
+  en: require('./locales/en.json'),
+};
+const LOCALES = Object.keys(CATALOGS);
+const RTL_LOCALES = ['he'];
+const INTL_LOCALES = { he: 'he-IL', en: 'en-US' }; // catalog locale -> Intl locale for numbers and dates
+const DEFAULT_LOCALE = LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'he';
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+function t(locale, key, params = {}) {
+  let msg = lookup(CATALOGS[locale] || {}, key);
+  if (typeof msg !== 'string') msg = lookup(CATALOGS[DEFAULT_LOCALE], key);
+  if (typeof msg !== 'string') return key;
+  return msg.replace(/\{(\w+)\}/g, (m, name) => (params[name] !== undefined && params[name] !== null ? String(params[name]) : m));
+}
+
+// 'he-IL' / 'en_US' / 'EN' / Accept-Language header -> a catalog locale, or null when none matches
+function resolveLocale(value) {
+  if (!value || typeof value !== 'string') return null;
+  for (const part of value.split(',')) {
+    const base = part.split(';')[0].trim().toLowerCase().split(/[-_]/)[0];
+    if (base === 'iw') return 'he'; // legacy Hebrew code still sent by some browsers
+    if (LOCALES.includes(base)) return base;
+  }
+  return null;
+}
+
+function isRtl(locale) {
+  return RTL_LOCALES.includes(locale);
+}
+
+function dir(locale) {
+  return isRtl(locale) ? 'rtl' : 'ltr';
+}
+
+function intlLocale(locale) {
+  return INTL_LOCALES[locale] || INTL_LOCALES[DEFAULT_LOCALE];
+}
+
+function formatNumber(locale, value, options = {}) {
+  if (typeof value !== 'number' || !isFinite(value)) return '—';
+  return new Intl.NumberFormat(intlLocale(locale), { maximumFractionDigits: 2, ...options }).format(value);
+}
+
+function formatCurrency(locale, value, currency = 'USD', options = {}) {
+  return formatNumber(locale, value, { style: 'currency', currency, minimumFractionDigits: 2, maximumFractionDigits: 2, ...options });
+}
+
+// fraction -> percent (0.0523 -> 5.23%)
+function formatPercent(locale, value, options = {}) {
+  return formatNumber(locale, value, { style: 'percent', minimumFractionDigits: 2, maximumFractionDigits: 2, ...options });
+}
+
+function formatDate(locale, value, options = { dateStyle: 'medium' }) {
+  const d = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(d.getTime())) return '—';
+  return new Intl.DateTimeFormat(intlLocale(locale), options).format(d);
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// plain-text lines -> a small direction-aware e-mail body (each line escaped, one <p> per line)
+function emailHtml(locale, lines) {
+  const body = lines.filter(Boolean).map(l => `<p style="margin:0 0 8px;">${escapeHtml(l)}</p>`).join('');
+  return `<div dir="${dir(locale)}" lang="${locale}" style="text-align:start;font-family:Arial,Helvetica,sans-serif;">${body}</div>`;
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  t,
+  resolveLocale,
+  isRtl,
+  dir,
+  formatNumber,
+  formatCurrency,
+  formatPercent,
+  formatDate,
+  escapeHtml,
+  emailHtml,
+};
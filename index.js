@@ -3,22 +3,44 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const cron = require('node-cron');
-const axios = require('axios');
 const dayjs = require('dayjs');
 const WebSocket = require('ws');
 
 const { getRealTimePrice: getAlpacaPrice } = require('./alpacaPriceFetcher');
 const { getRealTimePrice: getFinnhubPrice } = require('./finnhubPriceFetcher');
+const finnhub = require('./finnhubClient');
 const { sendEmail } = require('./emailService');
-const { analyzeStockRisk } = require('./riskAnalyzer');
-const { sendPushNotification } = require('./pushServices');
-const log = console;
+const { analyzeStockRisk, fetchHistoricalPrices, computeReturnsFromCloses, WEIGHT_PROFILES, DEFAULT_PROFILE, validateWeights, cacheStats: analyzerCacheStats } = require('./riskAnalyzer');
+const { computeVaR, riskContributions } = require('./portfolioRisk');
+const { calculateRiskAndStopLoss } = require('./riskCalculator');
+const { createRiskHistory, parseTime } = require('./riskHistory');
+const { explainRisk, LANGS: EXPLAIN_LANGS } = require('./riskExplainer');
+const push = require('./pushServices');
+const { createStorage } = require('./storage');
+const { checkStopLoss } = require('./stopLossMonitor');
+const { syncStopOrder, normalizeTradingSettings, isDryRunOrder } = require('./alpacaTrading');
+const { fetchAccountPositions, accountEnvForKeys, reconcilePositions } = require('./alpacaPositionSync');
+const { requireUser, requireAdmin, authenticate, isConfigured: isAuthConfigured } = require('./auth');
+const credentials = require('./credentials');
+const { buildDigest, renderDigestHtml, digestSubject, PERIODS: DIGEST_PERIODS } = require('./digestService');
+const { createNotificationService, createWebhookChannel, checkWebhookUrl, resolveSettings, mergeSettings, ALERT_TYPES, CHANNELS: NOTIFY_CHANNELS } = require('./notificationService');
+const { LOCALES, DEFAULT_LOCALE, t, resolveLocale, formatCurrency, formatPercent, formatDate, emailHtml } = require('./i18n');
+const { createRegistry } = require('./metrics');
+const { createSubscriptionManager } = require('./finnhubSubscriptions');
+const { createClientSocketServer } = require('./clientSocket');
+const { createSseHub } = require('./sseStream');
+const log = require('./logger');
+const streamLog = log.child({ subsystem: 'stream' }); // Finnhub WebSocket, price fetches, SSE
+const riskLog = log.child({ subsystem: 'risk' });     // risk calcs, stop-loss allocation, VaR
+const notifyLog = log.child({ subsystem: 'notify' }); // alerts, push devices, digests
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const FINNHUB_KEY = process.env.FINNHUB_API_KEY || '';
 
 if (!FINNHUB_KEY) log.warn('WARNING: FINNHUB_API_KEY not set — event polling and news will not work.');
+if (!credentials.isConfigured()) log.warn('WARNING: CREDENTIALS_MASTER_KEY not set — Alpaca portfolios cannot be saved.');
+if (!isAuthConfigured()) log.warn('WARNING: neither AUTH_JWT_SECRET nor AUTH_JWKS_URL set — user routes will reject every request.');
 
 // CONFIG: tune these via env if needed
 const MIN_RISK_INTERVAL_MS = Number(process.env.MIN_RISK_INTERVAL_MS || 5 * 60 * 1000); // default: 5 minutes between risk calcs per symbol
@@ -26,6 +48,32 @@ const EVENT_RISK_COOLDOWN_MS = Number(process.env.EVENT_RISK_COOLDOWN_MS || 60 *
 const PORTFOLIO_RECALC_COOLDOWN_MS = Number(process.env.PORTFOLIO_RECALC_COOLDOWN_MS || 30 * 1000); // min interval between portfolio recalc
 const PRICE_CHANGE_RISK_THRESHOLD_PCT = Number(process.env.PRICE_CHANGE_RISK_THRESHOLD_PCT || 1); // percent change to trigger risk calc
 const LOG_THROTTLE_MS = Number(process.env.LOG_THROTTLE_MS || 60 * 1000); // throttle repetitive logs per symbol
+const STORAGE_FLUSH_MS = Number(process.env.STORAGE_FLUSH_MS || 15 * 1000); // how often in-memory state is persisted
+const STOPLOSS_REARM_PCT = Number(process.env.STOPLOSS_REARM_PCT || 0.5); // % above the stop a price must recover before a new breach can fire
+const BREACH_HISTORY_LIMIT = Number(process.env.BREACH_HISTORY_LIMIT || 200); // breaches kept per user
+const ORDER_AUDIT_LIMIT = Number(process.env.ORDER_AUDIT_LIMIT || 500); // Alpaca order audit entries kept per user
+const PUSH_MAX_DEVICES = Number(process.env.PUSH_MAX_DEVICES || 10); // push subscriptions kept per user (oldest dropped)
+const ACTIVITY_LIMIT = Number(process.env.ACTIVITY_LIMIT || 500); // entries of each type (stop moves, news events) kept per user for digests
+const VALUE_SNAPSHOT_MS = Number(process.env.VALUE_SNAPSHOT_MS || 60 * 60 * 1000); // min interval between portfolio value snapshots
+const DIGEST_RETENTION_DAYS = Number(process.env.DIGEST_RETENTION_DAYS || 35); // activity / value snapshots older than this are dropped
+const DIGEST_TIMEZONE = process.env.DIGEST_TIMEZONE || 'Asia/Jerusalem'; // timezone of the digest cron expressions
+const DIGEST_DAILY_CRON = process.env.DIGEST_DAILY_CRON || '0 18 * * 1-5'; // daily digest (after the close, Israel time)
+const DIGEST_WEEKLY_CRON = process.env.DIGEST_WEEKLY_CRON || '0 10 * * 6'; // weekly digest
+const ALLOCATION_MODES = ['risk-score', 'risk-contribution']; // how recalcPortfolioStopLossesGeneric splits the maxLossPercent budget
+const ALLOCATION_MODE_ALIASES = { 'risk-parity': 'risk-contribution' }; // earlier name, still accepted and read from saved state
+const STOPLOSS_STRATEGIES = ['budget', 'volatility']; // per position: share of the loss budget, or riskCalculator's volatility/sector stop
+const VOLATILITY_STOP_LOOKBACK_DAYS = Number(process.env.VOLATILITY_STOP_LOOKBACK_DAYS || 30); // daily closes fed to calculateRiskAndStopLoss
+const PORTFOLIO_RISK_MAX_AGE_MS = Number(process.env.PORTFOLIO_RISK_MAX_AGE_MS || 60 * 1000); // reuse a VaR result this long in GET /portfolio/:userId/risk
+const RISK_HISTORY_DAYS = Number(process.env.RISK_HISTORY_DAYS || 90); // how long per-symbol risk score history is kept
+const ALPACA_SYNC_INTERVAL_MS = Number(process.env.ALPACA_SYNC_INTERVAL_MS || 2 * 60 * 1000); // how often Alpaca positions are pulled (0 = off)
+const FINNHUB_WS_SYMBOL_LIMIT = Number(process.env.FINNHUB_WS_SYMBOL_LIMIT || 30); // live socket slots (free plan: 30 symbols)
+const OVERFLOW_POLL_MS = Number(process.env.OVERFLOW_POLL_MS || 15 * 1000); // REST polling tick for symbols without a socket slot
+const OVERFLOW_POLL_BATCH = Number(process.env.OVERFLOW_POLL_BATCH || 5); // symbols polled per tick (keep under the REST rate limit)
+const CLIENT_RECALC_COOLDOWN_MS = Number(process.env.CLIENT_RECALC_COOLDOWN_MS || 10 * 1000); // min interval between client-requested recalcs per symbol
+const READY_MAX_PRICE_AGE_MS = Number(process.env.READY_MAX_PRICE_AGE_MS || 5 * 60 * 1000); // /ready fails when the last good price cycle is older
+const PROVIDER_FAILURE_THRESHOLD = Number(process.env.PROVIDER_FAILURE_THRESHOLD || 3); // consecutive failures before a provider counts as unreachable
+const RISK_BULK_MAX_TICKERS = Number(process.env.RISK_BULK_MAX_TICKERS || 10); // tickers accepted by POST /risk/bulk
+const RISK_BULK_CONCURRENCY = Number(process.env.RISK_BULK_CONCURRENCY || 2); // tickers analyzed at once per bulk request
 
 // CORS
 const allowedOrigins = [
@@ -35,42 +83,149 @@ const allowedOrigins = [
   'https://ta-01kbdmpk0e2bjyfzym639j663v-5173.wo-tal2sab99o2fihwqy0q42txk2.w.modal.host',
   'https://ta-01kbe7v5gepd5416xc60twxckd-5173.wo-p0hm3k156ybojezf1zjywwtio.w.modal.host',
 ];
+app.use(log.requestContext());
 app.use(cors({
   origin: (origin, cb) => {
     if (!origin) return cb(null, true);
     if (allowedOrigins.includes(origin)) return cb(null, true);
     return cb(new Error('Not allowed by CORS: ' + origin));
   },
-  methods: ['GET','POST','OPTIONS'],
-  allowedHeaders: ['Content-Type','Authorization'],
+  methods: ['GET','POST','PUT','OPTIONS'],
+  allowedHeaders: ['Content-Type','Authorization','X-Admin-Key','X-Request-Id'],
+  exposedHeaders: ['X-Request-Id'],
   credentials: true
 }));
 app.use(express.json({ limit: '2mb' }));
 
 // ====== MEMORY DB ======
-const userPortfolios = {};      // userId -> { stocks: { SYMBOL: { shares, entryPrice, ... } }, alpacaKeys, userEmail, totalInvestment, maxLossPercent }
+const userPortfolios = {};      // userId -> { manual: { stocks }, alpaca: { stocks, alpacaKeys (encrypted blob), accountEnv, trading }, userEmail, totalInvestment, maxLossPercent }
 const userPrices = {};          // userId -> { SYMBOL: { price, time } }
 const priceHistory15Min = {};   // userId -> { SYMBOL: { price, time } }
-const sseClients = {};          // userId -> [res,...]
-const userPushSubs = {};        // userId -> pushSubscription
+const userPushSubs = {};        // userId -> [ { endpoint, keys, expirationTime, id, device, createdAt, lastUsedAt } ] (one per device)
 const seenFinnhubEvents = {};   // ticker -> { eventId: timestamp }
+const stopLossBreaches = {};    // userId -> [ { symbol, kind, stopLoss, price, triggeredAt, rearmedAt } ]
+const alpacaOrderAudit = {};    // userId -> [ { at, symbol, action, mode, dryRun, status, orderId, request, error } ]
+const riskHistory = createRiskHistory({ retentionDays: RISK_HISTORY_DAYS }); // SYMBOL -> [{ at, score, factors }]
+const userActivity = {};        // userId -> [ { at, type: 'stop-moved' | 'news-event', symbol, ... } ] (for digests; stop moves also day, lastAt, moves)
+const portfolioValueHistory = {}; // userId -> [ { at, value, cost } ]
+
+// ====== PERSISTENCE ======
+// The objects above are the working copy; storage holds the durable copy (driver via STORAGE_DRIVER).
+const storage = createStorage();
+const persistedState = {
+  portfolios: userPortfolios,
+  pushSubs: userPushSubs,
+  prices: userPrices,
+  seenEvents: seenFinnhubEvents,
+  priceHistory15Min,
+  breaches: stopLossBreaches,
+  orderAudit: alpacaOrderAudit,
+  riskHistory: riskHistory.data,
+  activity: userActivity,
+  valueHistory: portfolioValueHistory,
+};
+const SEEN_EVENT_TTL_MS = 24 * 60 * 60 * 1000;
+
+async function restoreState() {
+  await storage.init();
+  for (const [collection, target] of Object.entries(persistedState)) {
+    Object.assign(target, await storage.getAll(collection));
+  }
+  // older state kept a single subscription object per user
+  for (const userId in userPushSubs) {
+    const subs = userPushSubs[userId];
+    if (subs && !Array.isArray(subs)) userPushSubs[userId] = push.isValidSubscription(subs) ? [{ ...subs, id: push.subscriptionId(subs), device: null, createdAt: null }] : [];
+  }
+  // seal plaintext / old-key credentials with the current key, then re-subscribe live prices for everything we restored
+  for (const userId in userPortfolios) {
+    const up = userPortfolios[userId];
+    if (up?.alpaca?.alpacaKeys && credentials.needsReencrypt(up.alpaca.alpacaKeys)) {
+      try { up.alpaca.alpacaKeys = credentials.reencryptCredentials(up.alpaca.alpacaKeys); } catch (e) { log.error(`credential re-encrypt failed for ${userId}`, e.message); }
+    }
+  }
+  refreshLiveSubscriptions();
+  stateRestored = true;
+  log.info(`💾 State restored (${storage.driver}): ${Object.keys(userPortfolios).length} users`);
+}
+
+// write a single key through to storage right away (used by routes)
+async function persistKey(collection, key) {
+  try {
+    await storage.set(collection, key, persistedState[collection][key]);
+    await storage.flush();
+  } catch (e) { log.error(`persist ${collection}/${key} failed`, e.message); }
+}
+
+// periodic full sync — covers in-place mutations (lastPrice, stopLoss, analysis, ...)
+async function persistState() {
+  const now = Date.now();
+  for (const symbol in seenFinnhubEvents) {
+    const seen = seenFinnhubEvents[symbol];
+    for (const id in seen) if (now - seen[id] > SEEN_EVENT_TTL_MS) delete seen[id];
+  }
+  for (const [collection, source] of Object.entries(persistedState)) {
+    for (const key in source) await storage.set(collection, key, source[key]);
+  }
+  await storage.flush();
+}
+
+// ====== Health + metrics (GET /health, /ready, /metrics) ======
+let stateRestored = false;
+let lastPriceCycle = null; // { at, durationMs, symbols, failed } of the last cycle that got at least one price
+const providerStatus = {}; // source -> { lastSuccessAt, lastErrorAt, lastError, consecutiveFailures, rateLimitedAt }
+
+function recordProviderResult(source, err = null) {
+  const st = providerStatus[source] = providerStatus[source] || { lastSuccessAt: null, lastErrorAt: null, lastError: null, consecutiveFailures: 0, rateLimitedAt: null };
+  if (!err) { st.lastSuccessAt = new Date().toISOString(); st.consecutiveFailures = 0; return; }
+  const status = err.response?.status;
+  st.lastErrorAt = new Date().toISOString();
+  st.lastError = status ? `HTTP ${status}` : err.message;
+  st.consecutiveFailures++;
+  if (status === 429) st.rateLimitedAt = st.lastErrorAt;
+  metrics.providerErrors.inc({ source, reason: status === 429 ? 'rate-limited' : status ? `http-${status}` : 'error' });
+}
+
+const metricsRegistry = createRegistry();
+const metrics = {
+  providerLatency: metricsRegistry.histogram({ name: 'riskwise_price_provider_duration_seconds', help: 'Latency of price provider requests', labelNames: ['source', 'outcome'] }),
+  providerErrors: metricsRegistry.counter({ name: 'riskwise_price_provider_errors_total', help: 'Failed price provider requests', labelNames: ['source', 'reason'] }),
+  priceCache: metricsRegistry.counter({ name: 'riskwise_price_cache_requests_total', help: 'Lookups in the shared price cache', labelNames: ['result'] }),
+  priceCycle: metricsRegistry.histogram({ name: 'riskwise_price_cycle_duration_seconds', help: 'Duration of the periodic price / risk cycle', buckets: [1, 5, 15, 30, 60, 120, 300] }),
+  riskCalcs: metricsRegistry.counter({ name: 'riskwise_risk_calcs_total', help: 'Per-position risk calculations', labelNames: ['outcome', 'reason'] }),
+  notifications: metricsRegistry.counter({ name: 'riskwise_notifications_total', help: 'Notification deliveries per channel', labelNames: ['type', 'channel', 'outcome'] }),
+  finnhubRest: metricsRegistry.histogram({ name: 'riskwise_finnhub_rest_duration_seconds', help: 'Finnhub REST calls through the shared rate limiter (excluding queue time)', labelNames: ['endpoint', 'priority', 'outcome'] }),
+};
+metricsRegistry.counter({ name: 'riskwise_analyzer_cache_requests_total', help: 'Lookups in the risk analyzer cache', labelNames: ['result'],
+  collect: (set) => { const st = analyzerCacheStats(); set({ result: 'hit' }, st.hits); set({ result: 'miss' }, st.misses); } });
+metricsRegistry.gauge({ name: 'riskwise_analyzer_cache_keys', help: 'Entries in the risk analyzer cache', collect: (set) => set(analyzerCacheStats().keys) });
+metricsRegistry.gauge({ name: 'riskwise_sse_clients', help: 'Open SSE connections', collect: (set) => set(sseHub.clientCount()) });
+metricsRegistry.gauge({ name: 'riskwise_ws_clients', help: 'Open client WebSocket connections', collect: (set) => set(clientSockets.clientCount()) });
+metricsRegistry.gauge({ name: 'riskwise_finnhub_ws_connected', help: '1 while the Finnhub WebSocket is open', collect: (set) => set(finnhubSocket?.readyState === WebSocket.OPEN ? 1 : 0) });
+metricsRegistry.gauge({ name: 'riskwise_finnhub_rest_queue', help: 'Finnhub REST requests waiting for a rate-limit token', labelNames: ['priority'],
+  collect: (set) => { for (const [priority, n] of Object.entries(finnhub.stats().queued)) set({ priority }, n); } });
+finnhub.observe(({ endpoint, priority, outcome, seconds }) => metrics.finnhubRest.observe({ endpoint, priority, outcome }, seconds));
+metricsRegistry.counter({ name: 'riskwise_finnhub_rest_coalesced_total', help: 'Finnhub REST requests answered by an identical request already queued or in flight', collect: (set) => set(finnhub.stats().coalesced) });
+metricsRegistry.gauge({ name: 'riskwise_finnhub_subscribed_tickers', help: 'Tickers subscribed on the Finnhub WebSocket', collect: (set) => set(liveSubscriptions.status().live.length) });
+metricsRegistry.gauge({ name: 'riskwise_finnhub_overflow_tickers', help: 'Held tickers without a socket slot (REST polled)', collect: (set) => set(liveSubscriptions.status().overflow.length) });
+metricsRegistry.gauge({ name: 'riskwise_price_cycle_last_success_timestamp_seconds', help: 'End of the last price cycle that got at least one price',
+  collect: (set) => { if (lastPriceCycle) set(Math.round(lastPriceCycle.at / 1000)); } });
+metricsRegistry.gauge({ name: 'riskwise_users', help: 'Users with a stored portfolio', collect: (set) => set(Object.keys(userPortfolios).length) });
 
 // added helpers state
 // per-symbol last portfolio risk calc timestamps are stored on portfolio.stocks[symbol].lastRiskAt
 // per-user last portfolio recalc timestamp
 const userLastPortfolioRecalcAt = {}; // userId -> timestamp
+const portfolioRiskCache = {};        // userId -> { manual, alpaca, computedAt } (VaR / CVaR)
 
 // ====== Finnhub WS with safe reconnect/backoff & subscribe limit ======
 let finnhubSocket = null;
-let subscribedTickers = new Set();
 let reconnectDelayMs = 10_000;
 const RECONNECT_MAX_MS = 60_000;
-const FINNHUB_FREE_TICKER_LIMIT = 30;
 
 function connectFinnhubStream() {
-  if (!FINNHUB_KEY) { log.warn('⚠️ No FINNHUB_API_KEY — skipping live price stream'); return; }
+  if (!FINNHUB_KEY) { streamLog.warn('⚠️ No FINNHUB_API_KEY — skipping live price stream'); return; }
   if (finnhubSocket && (finnhubSocket.readyState === WebSocket.OPEN || finnhubSocket.readyState === WebSocket.CONNECTING)) {
-    log.info('🟢 Finnhub WebSocket already open/connecting — skipping new connect.');
+    streamLog.info('🟢 Finnhub WebSocket already open/connecting — skipping new connect.');
     return;
   }
 
@@ -78,11 +233,9 @@ function connectFinnhubStream() {
     finnhubSocket = new WebSocket(`wss://ws.finnhub.io?token=${FINNHUB_KEY}`);
 
     finnhubSocket.on('open', () => {
-      log.info('📡 Connected to Finnhub live price stream');
+      streamLog.info('📡 Connected to Finnhub live price stream');
       reconnectDelayMs = 10_000;
-      for (const symbol of subscribedTickers) {
-        try { finnhubSocket.send(JSON.stringify({ type: 'subscribe', symbol })); } catch (e) { log.error('subscribe failed', e.message); }
-      }
+      liveSubscriptions.resubscribe();
     });
 
     finnhubSocket.on('message', (msg) => {
@@ -90,67 +243,99 @@ function connectFinnhubStream() {
         const data = JSON.parse(msg);
         if (data.type === 'trade' && Array.isArray(data.data)) {
           data.data.forEach(t => {
-            const { s: symbol, p: price } = t;
-            if (!symbol) return;
-            // update all portfolios that watch this symbol — same behavior as the old code
-            for (const userId in userPortfolios) {
-              const portfolio = userPortfolios[userId];
-              if (!portfolio || !portfolio.stocks) continue;
-              if (portfolio.stocks[symbol]) {
-                // save per-user price cache
-                if (!userPrices[userId]) userPrices[userId] = {};
-                userPrices[userId][symbol] = { price, time: Date.now() };
-
-                // also update portfolio lastPrice
-                portfolio.stocks[symbol].lastPrice = price;
-
-                // SSE price only (no automatic risk calc here)
-                try {
-                  pushUpdate(userId, {
-                    stockTicker: symbol,
-                    price,
-                    stopLoss: portfolio.stocks[symbol].stopLoss || null,
-                    risk: portfolio.stocks[symbol].overallRisk ?? portfolio.stocks[symbol].risk ?? null
-                  });
-                } catch (e) { /* ignore */ }
-
-                pushUpdate(userId, { type: 'price', symbol, price });
-              }
-            }
+            if (t.s) applyLivePrice(t.s, t.p);
           });
         }
       } catch (err) {
-        log.error('⚠️ Finnhub stream parse error', err.message);
+        streamLog.error('⚠️ Finnhub stream parse error', err.message);
       }
     });
 
     finnhubSocket.on('close', (code, reason) => {
-      log.warn('🔌 Finnhub WebSocket closed — reconnecting in a bit...', code, reason?.toString?.() || reason);
+      streamLog.warn('🔌 Finnhub WebSocket closed — reconnecting in a bit...', code, reason?.toString?.() || reason);
       setTimeout(() => { reconnectDelayMs = Math.min(RECONNECT_MAX_MS, reconnectDelayMs * 2); connectFinnhubStream(); }, reconnectDelayMs);
     });
 
     finnhubSocket.on('error', (err) => {
-      log.error('❌ Finnhub WS error:', err?.message || err);
+      streamLog.error('❌ Finnhub WS error:', err?.message || err);
+      metrics.providerErrors.inc({ source: 'finnhub-ws', reason: 'error' });
       try { finnhubSocket.close(); } catch (e) {}
     });
   } catch (err) {
-    log.error('Failed to create Finnhub WebSocket', err.message);
+    streamLog.error('Failed to create Finnhub WebSocket', err.message);
     setTimeout(connectFinnhubStream, reconnectDelayMs);
     reconnectDelayMs = Math.min(RECONNECT_MAX_MS, reconnectDelayMs * 2);
   }
 }
 
-function subscribeToLiveTicker(symbol) {
-  if (!symbol || !FINNHUB_KEY) return;
-  if (subscribedTickers.has(symbol)) return;
-  if (subscribedTickers.size >= FINNHUB_FREE_TICKER_LIMIT) {
-    log.warn(`⚠️ Skipping live subscribe for ${symbol} — reached safe limit (${FINNHUB_FREE_TICKER_LIMIT})`);
-    return;
+// push a live (socket or overflow-poll) price to every portfolio (manual + alpaca) that holds the symbol
+function applyLivePrice(symbol, price) {
+  for (const userId in userPortfolios) {
+    const up = userPortfolios[userId];
+    if (!up) continue;
+    for (const kind of ['manual', 'alpaca']) {
+      const portfolio = up[kind];
+      if (!portfolio || !portfolio.stocks || !portfolio.stocks[symbol]) continue;
+      // save per-user price cache
+      if (!userPrices[userId]) userPrices[userId] = {};
+      userPrices[userId][symbol] = { price, time: Date.now() };
+
+      // also update portfolio lastPrice
+      portfolio.stocks[symbol].lastPrice = price;
+
+      // price only (no automatic risk calc here)
+      pushUpdate(userId, priceMessage(kind, symbol, price, portfolio.stocks[symbol]));
+
+      handleStopLossCheck(userId, kind, symbol, price, portfolio).catch(e => streamLog.error('stoploss check error', symbol, e.message));
+    }
   }
-  subscribedTickers.add(symbol);
-  if (finnhubSocket && finnhubSocket.readyState === WebSocket.OPEN) {
-    try { finnhubSocket.send(JSON.stringify({ type: 'subscribe', symbol })); log.info(`🔔 Subscribed to live ticker ${symbol}`); } catch (e) { log.error('Failed to send subscribe message for', symbol, e.message); }
+}
+
+// the one price message shape, whether the price came from the socket, overflow polling or the price cycle
+function priceMessage(kind, symbol, price, position) {
+  return {
+    type: 'price',
+    symbol,
+    kind,
+    price,
+    stopLoss: position?.stopLoss ?? null,
+    risk: position?.overallRisk ?? position?.risk ?? null,
+    at: new Date().toISOString(),
+  };
+}
+
+// Socket slots are reference-counted over all portfolios: refs = portfolios holding the symbol, value = their
+// combined position value. The manager subscribes the top FINNHUB_WS_SYMBOL_LIMIT, unsubscribes symbols nobody
+// holds anymore and polls the overflow over REST.
+const liveSubscriptions = createSubscriptionManager({
+  limit: FINNHUB_WS_SYMBOL_LIMIT,
+  send: (type, symbol) => finnhubSocket.send(JSON.stringify({ type, symbol })),
+  isOpen: () => !!finnhubSocket && finnhubSocket.readyState === WebSocket.OPEN,
+  fetchPrice: async (symbol) => (await getCachedPrice(symbol)).price,
+  onPrice: applyLivePrice,
+  pollIntervalMs: OVERFLOW_POLL_MS,
+  pollBatchSize: OVERFLOW_POLL_BATCH,
+  logger: streamLog,
+});
+
+function collectHoldings() {
+  const holdings = {};
+  for (const userId in userPortfolios) {
+    for (const kind of ['manual', 'alpaca']) {
+      for (const [symbol, s] of Object.entries(userPortfolios[userId]?.[kind]?.stocks || {})) {
+        const h = holdings[symbol] = holdings[symbol] || { refs: 0, value: 0 };
+        h.refs++;
+        h.value += Number(s.shares ?? s.quantity ?? 0) * Number(s.lastPrice || s.entryPrice || s.entry_price || 0);
+      }
+    }
   }
+  return holdings;
+}
+
+// call after any portfolio change (and each price cycle, as position values move)
+function refreshLiveSubscriptions() {
+  if (!FINNHUB_KEY) return;
+  liveSubscriptions.sync(collectHoldings());
 }
 
 // ====== GLOBAL PRICE CACHE (to avoid duplicate calls & rate limit) ======
@@ -159,28 +344,35 @@ const priceCache = {}; // symbol -> { price, ts, source }
 const PRICE_CACHE_TTL_MS = 2000; // 2s TTL (adjustable)
 
 async function fetchPriceFromProviders(symbol, preferAlpacaKeys = null) {
-  // preferAlpacaKeys: { key, secret } or null
+  // preferAlpacaKeys: encrypted alpacaKeys blob or null (decrypted only for the request)
   // Try Alpaca if keys provided; on 429 or error -> fallback to Finnhub
   try {
     if (preferAlpacaKeys) {
       try {
-        const p = await getAlpacaPrice(symbol, preferAlpacaKeys.key, preferAlpacaKeys.secret);
+        const keys = credentials.decryptCredentials(preferAlpacaKeys);
+        const end = metrics.providerLatency.startTimer({ source: 'alpaca' });
+        const p = await getAlpacaPrice(symbol, keys.key, keys.secret).catch(err => { end({ outcome: 'error' }); recordProviderResult('alpaca', err); throw err; });
+        end({ outcome: 'ok' });
+        recordProviderResult('alpaca');
         return { price: p, source: 'alpaca' };
       } catch (alpErr) {
         // If rate-limit (429) or other error, log and fallback
-        log.warn(`שגיאה בשליפת מחיר עבור ${symbol} מ-Alpaca: ${alpErr.message}`);
+        streamLog.warn(t(DEFAULT_LOCALE, 'prices.alpacaFailed', { ticker: symbol, error: alpErr.message }));
         if (alpErr.response && alpErr.response.status === 429) {
-          log.warn(`Alpaca rate limit for ${symbol} — falling back to Finnhub`);
+          streamLog.warn(`Alpaca rate limit for ${symbol} — falling back to Finnhub`);
         }
         // continue to Finnhub fallback
       }
     }
     // Finnhub fallback
     try {
-      const p2 = await getFinnhubPrice(symbol);
+      const end = metrics.providerLatency.startTimer({ source: 'finnhub' });
+      const p2 = await getFinnhubPrice(symbol).catch(err => { end({ outcome: 'error' }); recordProviderResult('finnhub', err); throw err; });
+      end({ outcome: 'ok' });
+      recordProviderResult('finnhub');
       return { price: p2, source: 'finnhub' };
     } catch (finErr) {
-      log.error(`Finnhub price fetch failed for ${symbol}: ${finErr.message}`);
+      streamLog.error(`Finnhub price fetch failed for ${symbol}: ${finErr.message}`);
       throw finErr;
     }
   } catch (e) {
@@ -192,8 +384,10 @@ async function getCachedPrice(symbol, preferAlpacaKeys = null) {
   const now = Date.now();
   const cached = priceCache[symbol];
   if (cached && (now - cached.ts) <= PRICE_CACHE_TTL_MS) {
+    metrics.priceCache.inc({ result: 'hit' });
     return { price: cached.price, source: cached.source, cached: true };
   }
+  metrics.priceCache.inc({ result: 'miss' });
   // fetch fresh
   const res = await fetchPriceFromProviders(symbol, preferAlpacaKeys);
   priceCache[symbol] = { price: res.price, ts: now, source: res.source };
@@ -202,12 +396,71 @@ async function getCachedPrice(symbol, preferAlpacaKeys = null) {
 
 connectFinnhubStream();
 
+// ====== Notifications (push / email / SSE / webhook, per-user preferences in notificationSettings) ======
+const notifier = createNotificationService({
+  getSettings: (userId) => userPortfolios[userId]?.notificationSettings,
+  onFlush: (userId, notification, result) => countNotification(notification.type, result),
+  logger: notifyLog,
+  channels: {
+    push: async (userId, n) => {
+      const subs = userPushSubs[userId];
+      if (!push.isConfigured() || !subs?.length) return false;
+      const { sent, failed, expired } = await push.sendPushNotification(subs, { title: n.title, body: n.body, icon: n.icon, url: n.url, tag: `${n.type}:${n.symbol || ''}`, data: { ...n.data, type: n.type } });
+      await prunePushSubscriptions(userId, expired, sent > 0);
+      if (sent === 0 && failed > 0) throw new Error(`push failed on ${failed} device(s)`);
+      if (sent === 0) return false;
+    },
+    email: async (userId, n) => {
+      const to = userPortfolios[userId]?.userEmail;
+      if (!to) return false;
+      await sendEmail({ to, subject: n.title, html: n.html || `<p>${n.body}</p>` });
+    },
+    sse: async (userId, n) => {
+      if (!sseHub.hasClients(userId) && !clientSockets.hasClients(userId)) return false;
+      pushUpdate(userId, { type: 'notification', alert: n.type, symbol: n.symbol, title: n.title, body: n.body, severity: n.severity, data: n.data, at: n.at });
+    },
+    webhook: createWebhookChannel(),
+  },
+});
+
+// drop endpoints the push service reported gone (404/410); stamp lastUsedAt on the rest after a delivery
+async function prunePushSubscriptions(userId, expiredEndpoints, delivered) {
+  const subs = userPushSubs[userId] || [];
+  const kept = subs.filter(s => !expiredEndpoints.includes(s.endpoint));
+  if (delivered) kept.forEach(s => { s.lastUsedAt = new Date().toISOString(); });
+  if (kept.length !== subs.length) notifyLog.info(t(DEFAULT_LOCALE, 'logs.pushPruned', { count: subs.length - kept.length, userId }));
+  userPushSubs[userId] = kept;
+  if (kept.length !== subs.length) await persistKey('pushSubs', userId);
+}
+
+// catalog locale for a user's notifications and e-mails (set via /update-portfolio `locale`)
+function userLocale(userId) {
+  return userPortfolios[userId]?.locale || DEFAULT_LOCALE;
+}
+
+function countNotification(type, { delivered, skipped }) {
+  for (const channel of delivered) metrics.notifications.inc({ type, channel, outcome: 'sent' });
+  for (const [channel, reason] of Object.entries(skipped)) {
+    metrics.notifications.inc({ type, channel, outcome: reason.startsWith('error') ? 'failed' : reason === 'held' ? 'held' : 'skipped' });
+  }
+}
+
+async function notifyUser(userId, notification) {
+  const { delivered, skipped } = await notifier.notify(userId, notification);
+  countNotification(notification.type, { delivered, skipped });
+  if (delivered.length) notifyLog.info(t(DEFAULT_LOCALE, 'logs.notifyDelivered', { type: notification.type, userId, symbol: String(notification.symbol), channels: delivered.join(', ') }));
+  else if (skipped.all) notifyLog.info(t(DEFAULT_LOCALE, 'logs.notifySkipped', { type: notification.type, userId, symbol: String(notification.symbol), reason: skipped.all }));
+}
+
 // ====== SSE helpers ======
+// Resumable per-user streams: every update gets an event id and a name (its `type`) and is buffered for
+// Last-Event-ID replay (see sseStream.js)
+const sseHub = createSseHub({ logger: streamLog });
+
+// every update goes to the user's SSE streams and client WebSockets alike
 function pushUpdate(userId, data) {
-  if (!sseClients[userId]) return;
-  sseClients[userId].forEach(res => {
-    try { res.write(`data: ${JSON.stringify(data)}\n\n`); } catch (e) {}
-  });
+  sseHub.publish(userId, data);
+  clientSockets.send(userId, data);
   // light-weight log for debugging — throttle repetitive identical messages
   tryThrottleLog(userId, data);
 }
@@ -221,14 +474,13 @@ function tryThrottleLog(userId, data) {
   if (!userLastLog.ts || (now - userLastLog.ts) > LOG_THROTTLE_MS) {
     userLastLog.ts = now;
     userLastLog.last = data;
-    log.info(`📡 נשלח עדכון SSE ל-${userId}:`, summarizeForLog(data));
+    streamLog.info(t(DEFAULT_LOCALE, 'logs.sseSent', { userId }), summarizeForLog(data));
   }
 }
 
 function summarizeForLog(data) {
   if (!data) return data;
-  if (data.type === 'price') return { type: data.type, symbol: data.symbol, price: data.price };
-  if (data.stockTicker) return { stockTicker: data.stockTicker, price: data.price, stopLoss: data.stopLoss, risk: data.risk };
+  if (data.type === 'price') return { type: data.type, symbol: data.symbol, kind: data.kind, price: data.price, stopLoss: data.stopLoss, risk: data.risk };
   if (data.type === 'risk-update') return { type: data.type, symbol: data.symbol, risk: data.risk };
   if (data.type === 'finnhub-event') return { type: data.type, symbol: data.symbol, headline: data.event?.headline?.slice(0,80) };
   return data;
@@ -236,14 +488,32 @@ function summarizeForLog(data) {
 
 const userLastLogMap = {};
 
-// keep SSE alive
-setInterval(() => {
-  for (const userId in sseClients) {
-    sseClients[userId].forEach(res => {
-      try { res.write(`data: ${JSON.stringify({ type: "ping", ts: Date.now() })}\n\n`); } catch (e) {}
-    });
-  }
-}, 30_000);
+// ====== Client WebSocket (/ws): same updates as SSE, plus requests with acks ======
+// recalc: { symbol, kind? } -> force a risk calc for a held symbol, then re-run that portfolio's stop-losses
+async function handleClientRecalc(userId, { symbol, kind }) {
+  symbol = String(symbol || '').toUpperCase();
+  if (!symbol) throw new Error('symbol required');
+  if (kind !== undefined && !['manual', 'alpaca'].includes(kind)) throw new Error('kind must be manual or alpaca');
+  const up = userPortfolios[userId];
+  const k = (kind ? [kind] : ['manual', 'alpaca']).find(x => up?.[x]?.stocks?.[symbol]);
+  if (!k) throw new Error(`${symbol} is not in your portfolio`);
+  const portfolio = up[k];
+  const waitMs = CLIENT_RECALC_COOLDOWN_MS - (Date.now() - (portfolio.stocks[symbol].lastRiskAt || 0));
+  if (waitMs > 0) throw new Error(`recalculated recently — retry in ${Math.ceil(waitMs / 1000)}s`);
+
+  const { price } = await getCachedPrice(symbol, portfolio.alpacaKeys || null);
+  const res = await calculateFullRisk(userId, symbol, price, portfolio, { force: true, reason: 'client-request', priority: 'user' });
+  if (!res) throw new Error('risk calculation failed');
+  await recalcPortfolioStopLossesForKind(userId, k);
+  return { symbol, kind: k, price, risk: res.overallRiskScore, stopLoss: portfolio.stocks[symbol].stopLoss ?? null };
+}
+
+const clientSockets = createClientSocketServer({
+  path: '/ws',
+  authenticate,
+  handlers: { recalc: handleClientRecalc },
+  logger: streamLog,
+});
 
 // wrapper to allow recalculation for specific kind: 'alpaca' or 'manual'
 async function recalcPortfolioStopLossesForKind(userId, kind) {
@@ -274,7 +544,7 @@ async function recalcPortfolioStopLossesGeneric(userId, portfolio) {
       const cached = await getCachedPrice(symbol, prefer);
       prices[symbol] = cached.price;
     } catch (e) {
-      log.error('price fetch failed for', symbol, e.message);
+      riskLog.error('price fetch failed for', symbol, e.message);
       prices[symbol] = null;
     }
   }
@@ -301,7 +571,7 @@ async function recalcPortfolioStopLossesGeneric(userId, portfolio) {
     sumRisk += r;
   }
 
-  const weights = {};
+  let weights = {};
   if (sumRisk <= 0) {
     const equal = 1 / symbols.length;
     for (const symbol of symbols) weights[symbol] = equal;
@@ -309,7 +579,18 @@ async function recalcPortfolioStopLossesGeneric(userId, portfolio) {
     for (const symbol of symbols) weights[symbol] = riskScores[symbol] / sumRisk;
   }
 
-  const maxLossPercent = Number(portfolio.maxLossPercent ?? portfolio.totalMaxLossPercent ?? 0);
+  // risk-contribution: split the budget by each position's contribution to portfolio volatility instead
+  const storedMode = userPortfolios[userId]?.allocationMode || 'risk-score';
+  const allocationMode = ALLOCATION_MODE_ALIASES[storedMode] || storedMode;
+  let appliedMode = 'risk-score';
+  if (allocationMode === 'risk-contribution') {
+    const contributionWeights = await riskContributionWeights(portfolio, posValues);
+    if (contributionWeights) { weights = contributionWeights; appliedMode = 'risk-contribution'; }
+    else riskLog.warn(`⚠️ risk-contribution allocation unavailable for ${userId} (not enough candle history) — using risk-score`);
+  }
+
+  // the loss budget is saved on the user entry by /update-portfolio, not on the manual/alpaca portfolio itself
+  const maxLossPercent = Number(portfolio.maxLossPercent ?? portfolio.totalMaxLossPercent ?? userPortfolios[userId]?.maxLossPercent ?? 0);
   const totalAllowedLossAmount = portfolioValue * (maxLossPercent / 100);
 
   const updates = {};
@@ -322,40 +603,209 @@ async function recalcPortfolioStopLossesGeneric(userId, portfolio) {
     if (!isFinite(allowedFrac) || allowedFrac < 0) allowedFrac = 0;
     let stopPrice = entry * (1 - allowedFrac);
     if (stopPrice < 0) stopPrice = 0;
-    updates[symbol] = { stopPrice: Number(stopPrice.toFixed(4)), allocatedLoss: Number(allocatedLoss.toFixed(2)), weight: weights[symbol] };
+    updates[symbol] = { stopPrice: Number(stopPrice.toFixed(4)), allocatedLoss: Number(allocatedLoss.toFixed(2)), weight: weights[symbol], strategy: 'budget' };
+
+    // volatility strategy: the stop comes from the position's own volatility and sector instead of the budget split
+    const strategy = portfolio.stocks[symbol].stopLossStrategy || userPortfolios[userId]?.stopLossStrategy || 'budget';
+    if (strategy === 'volatility') {
+      const volStop = await volatilityStopLoss(userId, symbol, portfolio.stocks[symbol], entry);
+      if (volStop) {
+        updates[symbol].stopPrice = volStop.stopPrice;
+        updates[symbol].allocatedLoss = Number((shares * Math.max(0, entry - volStop.stopPrice)).toFixed(2));
+        updates[symbol].strategy = 'volatility';
+        updates[symbol].riskScore = volStop.riskScore;
+      }
+    }
   }
 
   for (const symbol of symbols) {
     const prev = portfolio.stocks[symbol].stopLoss ?? null;
     const newStop = updates[symbol].stopPrice;
-    if (prev === null || Math.abs(prev - newStop) > 0.01) {
-      portfolio.stocks[symbol].stopLoss = newStop;
-      pushUpdate(userId, { type: 'stoploss-updated', symbol, newStop, allocatedLoss: updates[symbol].allocatedLoss, weight: updates[symbol].weight });
+    const changed = prev === null || Math.abs(prev - newStop) > 0.01;
 
-      // send push/mail only for real portfolios with user subscription/email
-      try {
-        const upMeta = userPortfolios[userId];
-        if (upMeta && userPushSubs[userId]) {
-          await sendPushNotification(userPushSubs[userId], {
-            title: `עדכון סטופ לוס – ${symbol}`,
-            body: `סטופ לוס חדש נקבע על $${newStop} (מחשוב תחשיבי)`,
-            icon: '/icons/stoploss.png'
-          });
-          log.info(`📲 נשלחה התראת Push עדכון סטופ לוס ל-${userId} עבור ${symbol}`);
-        }
-      } catch (pushErr) { log.error('Push error sending stoploss update', pushErr.message); }
+    // opt-in broker stops: keep the Alpaca order in line with the computed stop and share count and dry-run setting (also places a missing one)
+    if (portfolio.trading?.enabled && (changed || !portfolio.stocks[symbol].stopOrder || stopOrderStale(portfolio, portfolio.stocks[symbol]))) {
+      await syncAlpacaStopOrder(userId, portfolio, symbol, newStop);
+    }
 
-      if (userPortfolios[userId] && userPortfolios[userId].userEmail) {
-        try { await sendEmail({ to: userPortfolios[userId].userEmail, subject: `עדכון סטופ לוס - ${symbol}`, html: `<p>סטופ לוס חדש ל-${symbol}: <b>$${newStop}</b></p><p>משקל סיכון יחסי: ${Math.round(updates[symbol].weight * 100)}%</p>` }); log.info(`📧 נשלח מייל עדכון סטופ לוס עבור ${symbol} (${userId})`); } catch (mailErr) { log.error('Mail error on stoploss update', mailErr.message); }
-      }
+    if (changed) {
+      portfolio.stocks[symbol].stopLoss = newStop;
+      recordActivity(userId, { type: 'stop-moved', symbol, kind: userPortfolios[userId]?.alpaca === portfolio ? 'alpaca' : 'manual', from: prev, to: newStop, strategy: updates[symbol].strategy });
+      pushUpdate(userId, { type: 'stoploss-updated', symbol, newStop, allocatedLoss: updates[symbol].allocatedLoss, weight: updates[symbol].weight, strategy: updates[symbol].strategy, allocationMode: appliedMode, weights });
+
+      const L = userLocale(userId);
+      const body = t(L, 'notify.stoplossUpdated.body', { symbol, stop: formatCurrency(L, newStop) });
+      await notifyUser(userId, {
+        type: 'stoploss-updated',
+        symbol,
+        title: t(L, 'notify.stoplossUpdated.title', { symbol }),
+        body,
+        html: emailHtml(L, [body, t(L, 'notify.stoplossUpdated.weight', { weight: formatPercent(L, updates[symbol].weight, { minimumFractionDigits: 0, maximumFractionDigits: 0 }) })]),
+        icon: '/icons/stoploss.png',
+        data: { symbol, newStop }
+      });
     }
   }
   // --- END generic recalc ---
 }
 
+// ====== Stop-loss breach detection ======
+// Called on every live/polled price. checkStopLoss only reports transitions, so each breach alerts once
+// and the position re-arms after the price recovers STOPLOSS_REARM_PCT above the stop.
+async function handleStopLossCheck(userId, kind, symbol, price, portfolio) {
+  const position = portfolio?.stocks?.[symbol];
+  const transition = checkStopLoss(position, price, { rearmPct: STOPLOSS_REARM_PCT });
+  if (!transition) return;
+
+  const history = stopLossBreaches[userId] = stopLossBreaches[userId] || [];
+
+  if (transition.type === 'rearm') {
+    const open = [...history].reverse().find(b => b.symbol === symbol && b.kind === kind && !b.rearmedAt);
+    if (open) open.rearmedAt = transition.at;
+    riskLog.info(`🔄 Stop-loss re-armed for ${symbol} (${userId}/${kind}) at $${price}`);
+    pushUpdate(userId, { type: 'stoploss-rearmed', symbol, kind, price, stopLoss: transition.stopLoss });
+    await persistKey('breaches', userId);
+    return;
+  }
+
+  const breach = { symbol, kind, stopLoss: transition.stopLoss, price, triggeredAt: transition.at, rearmedAt: null };
+  history.push(breach);
+  if (history.length > BREACH_HISTORY_LIMIT) history.splice(0, history.length - BREACH_HISTORY_LIMIT);
+
+  riskLog.warn(`🛑 Stop-loss hit: ${symbol} $${price} <= $${transition.stopLoss} (${userId}/${kind})`);
+  pushUpdate(userId, { type: 'stoploss-hit', ...breach });
+
+  const L = userLocale(userId);
+  const body = t(L, 'notify.stoplossHit.body', { symbol, price: formatCurrency(L, price), stop: formatCurrency(L, transition.stopLoss) });
+  await notifyUser(userId, {
+    type: 'stoploss-hit',
+    symbol,
+    title: t(L, 'notify.stoplossHit.title', { symbol }),
+    body,
+    html: emailHtml(L, [body, t(L, 'notify.stoplossHit.time', { time: formatDate(L, transition.at, { dateStyle: 'medium', timeStyle: 'short' }) })]),
+    icon: '/icons/stoploss.png',
+    data: { symbol, kind, price, stopLoss: transition.stopLoss },
+    dedupKey: `stoploss-hit:${kind}:${symbol}:${transition.at}`
+  });
+  await persistKey('breaches', userId);
+}
+
+// ====== Alpaca stop orders (opt-in via alpacaTrading in /update-portfolio) ======
+function recordOrderAudit(userId, audit) {
+  const list = alpacaOrderAudit[userId] = alpacaOrderAudit[userId] || [];
+  list.push(audit);
+  if (list.length > ORDER_AUDIT_LIMIT) list.splice(0, list.length - ORDER_AUDIT_LIMIT);
+  const line = `🏦 Alpaca ${audit.action} ${audit.symbol} (${userId}, ${audit.mode}${audit.dryRun ? ', dry-run' : ''}): ${audit.status}`;
+  if (audit.status === 'ok') log.info(line, audit.request?.stop_price ?? ''); else log.error(line, audit.error || audit.reason);
+}
+
+// the order no longer fits the position: it covers a different number of shares (stop orders are whole-share), it
+// is a dry-run order while dry-run is off, or a broker order the user's dry-run switch should cancel (when the server
+// forces dry-run or blocks live trading, syncStopOrder only flags those — on stop moves, not on every recalc)
+function stopOrderStale(portfolio, position) {
+  const order = position?.stopOrder;
+  if (!order) return false;
+  if (order.qty !== Math.floor(Number(position.shares ?? position.quantity ?? 0))) return true;
+  const forced = process.env.ALPACA_TRADING_DRY_RUN === 'true';
+  if (isDryRunOrder(order)) return !forced && portfolio.trading?.dryRun !== true;
+  const liveBlocked = portfolio.trading?.mode === 'live' && process.env.ALPACA_LIVE_TRADING !== 'true';
+  return portfolio.trading?.dryRun === true && !forced && !liveBlocked;
+}
+
+// stopPrice null -> cancel the position's order
+async function syncAlpacaStopOrder(userId, portfolio, symbol, stopPrice, position = portfolio.stocks[symbol]) {
+  if (!portfolio.alpacaKeys || !portfolio.trading) return;
+  const { order, audit } = await syncStopOrder({
+    keys: credentials.decryptCredentials(portfolio.alpacaKeys),
+    settings: portfolio.trading,
+    symbol,
+    qty: position?.shares ?? position?.quantity,
+    stopPrice,
+    existing: position?.stopOrder || null,
+  });
+  if (position) position.stopOrder = order;
+  if (audit.action !== 'skip' || audit.status !== 'ok') recordOrderAudit(userId, audit);
+  pushUpdate(userId, { type: 'stop-order', symbol, action: audit.action, status: audit.status, order, dryRun: audit.dryRun });
+}
+
+// cancel every open stop order of an alpaca portfolio (or only those for `symbols`)
+async function cancelAlpacaStopOrders(userId, portfolio, symbols = null) {
+  if (!portfolio?.stocks) return;
+  for (const symbol of symbols || Object.keys(portfolio.stocks)) {
+    const position = portfolio.stocks[symbol];
+    if (position?.stopOrder) await syncAlpacaStopOrder(userId, portfolio, symbol, null, position);
+  }
+}
+
+// ====== Alpaca position sync ======
+// The account is the source of truth for alpaca portfolios: pull positions, reconcile into
+// userPortfolios[userId].alpaca.stocks, and keep live subscriptions / broker stops in step.
+async function syncAlpacaPositionsForUser(userId) {
+  const portfolio = userPortfolios[userId]?.alpaca;
+  if (!portfolio || !portfolio.alpacaKeys) return;
+  portfolio.stocks = portfolio.stocks || {};
+
+  // the account env (paper/live keys) is not the order-placement mode: users who never opted into orders have no mode
+  const { positions, env } = await fetchAccountPositions(credentials.decryptCredentials(portfolio.alpacaKeys), portfolio.accountEnv || null);
+  portfolio.accountEnv = env;
+  const { added, updated, closed } = reconcilePositions(portfolio.stocks, positions);
+  portfolio.lastSyncedAt = new Date().toISOString();
+  if (!added.length && !updated.length && !closed.length) return;
+
+  for (const symbol of added) {
+    const s = portfolio.stocks[symbol];
+    pushUpdate(userId, { type: 'position-added', symbol, shares: s.shares, entryPrice: s.entryPrice, marketValue: s.marketValue });
+  }
+  for (const { symbol, prevShares } of updated) {
+    const s = portfolio.stocks[symbol];
+    pushUpdate(userId, { type: 'position-updated', symbol, shares: s.shares, prevShares, entryPrice: s.entryPrice, marketValue: s.marketValue });
+    // after a partial sale the old order would sell more than the account holds: resize it now, even if the
+    // recalc below leaves the stop price where it is
+    if (stopOrderStale(portfolio, s)) await syncAlpacaStopOrder(userId, portfolio, symbol, s.stopLoss ?? null, s);
+  }
+  for (const { symbol, position } of closed) {
+    // the stop may have been what closed it; otherwise don't leave a dangling sell order behind
+    if (position.stopOrder) await syncAlpacaStopOrder(userId, portfolio, symbol, null, position);
+    pushUpdate(userId, { type: 'position-closed', symbol, shares: Number(position.shares ?? position.quantity ?? 0), lastPrice: position.lastPrice ?? null });
+  }
+  if (added.length || closed.length) refreshLiveSubscriptions();
+  log.info(`🔄 Alpaca positions synced for ${userId}: +${added.length} ~${updated.length} -${closed.length}`);
+
+  await recalcPortfolioStopLossesForKind(userId, 'alpaca');
+  await persistKey('portfolios', userId);
+}
+
+async function syncAllAlpacaPositions() {
+  for (const userId in userPortfolios) {
+    if (!userPortfolios[userId]?.alpaca?.alpacaKeys) continue;
+    try { await syncAlpacaPositionsForUser(userId); } catch (e) {
+      const status = e.response?.status;
+      log.error(`Alpaca position sync failed for ${userId}${status ? ` (HTTP ${status})` : ''}: ${e.message}`);
+    }
+  }
+}
+
+// ====== Risk weight profiles (userPortfolios[userId].riskProfile = { name, weights? }) ======
+// what analyzeStockRisk gets as options.weights for this user
+function userRiskWeights(userId) {
+  const profile = userPortfolios[userId]?.riskProfile;
+  if (!profile) return DEFAULT_PROFILE;
+  return profile.name === 'custom' ? profile.weights : profile.name;
+}
+
+// history and trends track the default profile so every user sees the same series; -> the default-profile analysis
+// (null when the analysis failed)
+async function recordRiskHistory(symbol, analysis, currentPrice = null, priority = 'background') {
+  if (!analysis || analysis.explanation?.error) return null; // failed analyses carry no profile; don't re-run them
+  const base = analysis?.weightsProfile === DEFAULT_PROFILE ? analysis : await analyzeStockRisk(symbol, currentPrice, { priority });
+  riskHistory.record(symbol, base);
+  return base;
+}
+
 // ====== Risk wrapper (uses analyzeStockRisk) ======
 // Add "force" and "reason" so callers can decide when to bypass cooldowns.
-async function calculateFullRisk(userId, symbol, currentPrice, portfolio, { force = false, reason = '' } = {}) {
+// priority is the Finnhub lane: 'background' for cycles/events/webhooks, 'user' when a client is waiting.
+async function calculateFullRisk(userId, symbol, currentPrice, portfolio, { force = false, reason = '', priority = 'background' } = {}) {
   try {
     if (!portfolio || !portfolio.stocks || !portfolio.stocks[symbol]) return null;
 
@@ -365,14 +815,15 @@ async function calculateFullRisk(userId, symbol, currentPrice, portfolio, { forc
 
     if (!force && (now - s.lastRiskAt) < MIN_RISK_INTERVAL_MS) {
       // skip recalculation to avoid spam
-      log.info && log.info(`⏱️ Skipping risk calc for ${symbol} (cooldown). reason=${reason}`);
+      riskLog.info(`⏱️ Skipping risk calc for ${symbol} (cooldown). reason=${reason}`);
+      metrics.riskCalcs.inc({ outcome: 'skipped', reason: reason || 'price-cycle' });
       return null;
     }
 
     // mark when we started (prevents bursts from other callers)
     s.lastRiskAt = now;
 
-    const analysis = await analyzeStockRisk(symbol, currentPrice);
+    const analysis = await analyzeStockRisk(symbol, currentPrice, { weights: userRiskWeights(userId), priority });
     const overallRiskScore = analysis?.overallRiskScore ?? analysis?.riskScore ?? null;
 
     portfolio.stocks[symbol].overallRisk = overallRiskScore;
@@ -381,17 +832,177 @@ async function calculateFullRisk(userId, symbol, currentPrice, portfolio, { forc
     portfolio.stocks[symbol].sentiment = analysis.sentiment ?? portfolio.stocks[symbol].sentiment;
     portfolio.stocks[symbol].earningsImpact = analysis.earningsImpact ?? portfolio.stocks[symbol].earningsImpact;
     portfolio.stocks[symbol].analysis = analysis;
+    await recordRiskHistory(symbol, analysis, currentPrice, priority);
 
     // throttle repetitive risk logs per symbol
     const lastLogged = portfolio.stocks[symbol].lastLoggedRiskAt || 0;
     if ((Date.now() - lastLogged) > LOG_THROTTLE_MS) {
       portfolio.stocks[symbol].lastLoggedRiskAt = Date.now();
-      log.info(`📊 ${symbol} סיכון כולל: ${overallRiskScore}/10 | β=${analysis.beta} σ=${analysis.volatility}`);
+      riskLog.info(t(DEFAULT_LOCALE, 'logs.riskScore', { symbol, score: String(overallRiskScore), beta: String(analysis.beta), volatility: String(analysis.volatility) }));
     }
 
     pushUpdate(userId, { type: 'risk-update', symbol, risk: overallRiskScore, details: analysis });
+    metrics.riskCalcs.inc({ outcome: 'run', reason: reason || 'price-cycle' });
     return { overallRiskScore, analysis };
-  } catch (e) { log.error(`❌ שגיאה בחישוב סיכון עבור ${symbol}: ${e.message}`); return null; }
+  } catch (e) {
+    metrics.riskCalcs.inc({ outcome: 'failed', reason: reason || 'price-cycle' });
+    riskLog.error(t(DEFAULT_LOCALE, 'logs.riskFailed', { symbol, error: e.message }));
+    return null;
+  }
+}
+
+// ====== Portfolio VaR / CVaR + volatility contributions (from the same daily candles the analyzer uses) ======
+// priority is the Finnhub lane: 'background' for the price cycle and recalcs, 'user' only when a request is waiting
+async function loadDailyReturns(symbols, priority = 'background') {
+  const returnsBySymbol = {};
+  for (const symbol of symbols) {
+    try {
+      const hist = await fetchHistoricalPrices(symbol, 365, priority);
+      returnsBySymbol[symbol] = computeReturnsFromCloses(hist.closes, hist.times);
+    } catch (e) { /* no candles -> reported under `missing` */ }
+  }
+  return returnsBySymbol;
+}
+
+async function calculatePortfolioVaR(portfolio, priority = 'background') {
+  const positionValues = {};
+  for (const symbol of Object.keys(portfolio.stocks || {})) {
+    const s = portfolio.stocks[symbol];
+    const shares = Number(s.shares || s.quantity || 0);
+    const price = Number(s.lastPrice || s.entryPrice || s.entry_price || 0);
+    positionValues[symbol] = shares * price;
+  }
+  return computeVaR(positionValues, await loadDailyReturns(Object.keys(positionValues), priority));
+}
+
+// calculateRiskAndStopLoss (riskCalculator.js) over the last VOLATILITY_STOP_LOOKBACK_DAYS daily closes, taken from
+// the analyzer's cached one-year candles rather than a separate request.
+// Sector: the client's `sector` (Hebrew label) or the Finnhub industry from the last analysis.
+// Returns null without candles, so the caller keeps the budget stop.
+async function volatilityStopLoss(userId, symbol, stock, entryPrice) {
+  try {
+    const hist = await fetchHistoricalPrices(symbol, 365, 'background');
+    const closes = (hist.closes || []).slice(-VOLATILITY_STOP_LOOKBACK_DAYS);
+    if (closes.length < 10) return null;
+    const sector = stock.sector || stock.analysis?.explanation?.sector?.industry || null;
+    const riskLevel = Number(userPortfolios[userId]?.portfolioRiskLevel ?? 50);
+    const { riskScore, stopLossPrice } = calculateRiskAndStopLoss({ entry_price: entryPrice, sector }, closes, riskLevel);
+    return { riskScore, stopPrice: Number(Math.max(0, stopLossPrice).toFixed(4)) };
+  } catch (e) {
+    riskLog.warn(`⚠️ volatility stop unavailable for ${symbol}: ${e.message}`);
+    return null;
+  }
+}
+
+// Loss-budget weights proportional to each position's share of portfolio variance (not risk parity: positions are
+// not resized to equal contributions, the riskier ones just get more room before their stop).
+// Hedges (negative contribution) and positions without candles get a floor of 1/(4n) so their stop never sits at entry.
+async function riskContributionWeights(portfolio, posValues) {
+  const symbols = Object.keys(posValues);
+  const positionValues = {};
+  for (const symbol of symbols) positionValues[symbol] = posValues[symbol].positionValue;
+  const rc = riskContributions(positionValues, await loadDailyReturns(symbols, 'background'));
+  if (!rc) return null;
+  const floor = 1 / (4 * symbols.length);
+  const raw = {};
+  let sum = 0;
+  for (const symbol of symbols) { raw[symbol] = Math.max(floor, rc.contributions[symbol] ?? 0); sum += raw[symbol]; }
+  const weights = {};
+  for (const symbol of symbols) weights[symbol] = raw[symbol] / sum;
+  return weights;
+}
+
+async function updatePortfolioRisk(userId, priority = 'background') {
+  const up = userPortfolios[userId];
+  if (!up) return null;
+  const result = { manual: null, alpaca: null, computedAt: Date.now() };
+  for (const kind of ['manual', 'alpaca']) {
+    if (!up[kind]?.stocks) continue;
+    try { result[kind] = await calculatePortfolioVaR(up[kind], priority); } catch (e) { riskLog.error(`VaR calc failed for ${userId}/${kind}`, e.message); }
+  }
+  portfolioRiskCache[userId] = result;
+  pushUpdate(userId, { type: 'portfolio-risk', manual: result.manual, alpaca: result.alpaca });
+  recordPortfolioValue(userId);
+  return result;
+}
+
+// ====== Digest inputs: activity log + portfolio value snapshots ======
+// Stop moves collapse into one entry per position per day (first `from`, latest `to`, `moves` count), so trailing
+// stops can't crowd out the news; each entry type is trimmed to ACTIVITY_LIMIT on its own.
+function recordActivity(userId, entry) {
+  const now = Date.now();
+  const list = userActivity[userId] || [];
+  if (entry.type === 'stop-moved') {
+    const day = new Date(now).toLocaleDateString('en-CA', { timeZone: DIGEST_TIMEZONE });
+    const today = list.findLast(a => a.type === 'stop-moved' && a.day === day && a.symbol === entry.symbol && a.kind === entry.kind);
+    if (today) {
+      Object.assign(today, { to: entry.to, strategy: entry.strategy, lastAt: now, moves: (today.moves || 1) + 1 });
+      return;
+    }
+    entry = { ...entry, day, lastAt: now, moves: 1 };
+  }
+  list.push({ at: now, ...entry });
+
+  const cutoff = now - DIGEST_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const perType = {};
+  const kept = [];
+  for (let i = list.length - 1; i >= 0; i--) {
+    const a = list[i];
+    if ((a.lastAt ?? a.at) < cutoff) continue;
+    perType[a.type] = (perType[a.type] || 0) + 1;
+    if (perType[a.type] <= ACTIVITY_LIMIT) kept.push(a);
+  }
+  userActivity[userId] = kept.reverse();
+}
+
+// at most one snapshot per VALUE_SNAPSHOT_MS; the digest compares against the one at the start of its period
+function recordPortfolioValue(userId) {
+  const up = userPortfolios[userId];
+  const list = portfolioValueHistory[userId] = portfolioValueHistory[userId] || [];
+  const now = Date.now();
+  if (list.length && now - list[list.length - 1].at < VALUE_SNAPSHOT_MS) return;
+  let value = 0, cost = 0;
+  for (const kind of ['manual', 'alpaca']) {
+    for (const s of Object.values(up?.[kind]?.stocks || {})) {
+      const shares = Number(s.shares || s.quantity || 0);
+      const entry = Number(s.entryPrice || s.entry_price || 0);
+      value += shares * Number(s.lastPrice || entry || 0);
+      cost += shares * entry;
+    }
+  }
+  if (value <= 0) return;
+  list.push({ at: now, value: Number(value.toFixed(2)), cost: Number(cost.toFixed(2)) });
+  const cutoff = now - DIGEST_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  while (list.length && list[0].at < cutoff) list.shift();
+}
+
+function userDigest(userId, period) {
+  return buildDigest({
+    userId,
+    period,
+    user: userPortfolios[userId],
+    breaches: stopLossBreaches[userId] || [],
+    activity: userActivity[userId] || [],
+    valueHistory: portfolioValueHistory[userId] || [],
+    riskHistory,
+  });
+}
+
+// cron: e-mail the digest to every user who opted in (notification-settings digests.daily / digests.weekly)
+async function sendDigests(period) {
+  let sent = 0;
+  for (const userId in userPortfolios) {
+    const up = userPortfolios[userId];
+    if (!up?.userEmail || !resolveSettings(up.notificationSettings).digests[period]) continue;
+    const digest = userDigest(userId, period);
+    if (digest.positions.length === 0) continue;
+    try {
+      const L = userLocale(userId);
+      await sendEmail({ to: up.userEmail, subject: digestSubject(digest, L), html: renderDigestHtml(digest, L) });
+      sent++;
+    } catch (e) { notifyLog.error(t(DEFAULT_LOCALE, 'logs.digestFailed', { period, userId, error: e.message })); }
+  }
+  notifyLog.info(t(DEFAULT_LOCALE, 'logs.digestsSent', { count: sent, period }));
 }
 
 // deprecated fallback (kept for compatibility)
@@ -403,7 +1014,7 @@ async function updateStopLossAndNotify(userId, symbol, portfolio, currentPrice,
       portfolio.stocks[symbol].stopLoss = newStopLoss;
       pushUpdate(userId, { type: 'stoploss-updated', symbol, newStopLoss, risk: overallRiskScore });
     }
-  } catch (err) { log.error('updateStopLossAndNotify error', err.message); }
+  } catch (err) { riskLog.error('updateStopLossAndNotify error', err.message); }
 }
 
 // ====== 15-min drop checker ======
@@ -415,13 +1026,19 @@ async function checkFifteenMinuteDrop(userId, symbol, currentPrice, portfolio) {
   if (history && (now - history.time) <= 15 * 60 * 1000) {
     const change = ((currentPrice - history.price) / history.price) * 100;
     if (change <= -5) {
-      log.warn(`📉 ירידה ${change.toFixed(2)}% ב-15 דק' עבור ${symbol} (${userId})`);
+      riskLog.warn(t(DEFAULT_LOCALE, 'logs.priceDrop', { change: change.toFixed(2), symbol, userId }));
       // treat as important trigger => force a risk calc (but still respect MIN_RISK_INTERVAL_MS to avoid loops)
       const res = await calculateFullRisk(userId, symbol, currentPrice, portfolio, { force: true, reason: '15min-drop' });
       if (res) await updateStopLossAndNotify(userId, symbol, portfolio, currentPrice, res.overallRiskScore);
-      if (userPushSubs[userId]) {
-        try { await sendPushNotification(userPushSubs[userId], { title: `📉 ירידה חדה: ${symbol}`, body: `${symbol} ירדה ${change.toFixed(2)}% ב-15 הדקות האחרונות.`, icon: '/icons/drop.png' }); log.info(`📲 נשלחה התראת Push ירידה חדה ל-${userId}`); } catch (e) { log.error('Push error pada 15min drop', e.message); }
-      }
+      const L = userLocale(userId);
+      await notifyUser(userId, {
+        type: 'price-drop',
+        symbol,
+        title: t(L, 'notify.priceDrop.title', { symbol }),
+        body: t(L, 'notify.priceDrop.body', { symbol, change: formatPercent(L, change / 100) }),
+        icon: '/icons/drop.png',
+        data: { symbol, changePercent: change, price: currentPrice }
+      });
       pushUpdate(userId, { type: '15min-drop', symbol, changePercent: change, price: currentPrice });
     }
   }
@@ -452,11 +1069,15 @@ async function checkAndUpdatePrices() {
   }
 
   // For each symbol fetch price once (prefer Alpaca if any context requested it)
-  for (const symbol of Object.keys(symbolContexts)) {
+  const cycleStarted = Date.now();
+  const endCycle = metrics.priceCycle.startTimer();
+  const symbols = Object.keys(symbolContexts);
+  let failed = 0;
+  for (const symbol of symbols) {
     try {
       // decide preferAlpacaKeys if any context has alpaca preference (choose first)
       const prefer = symbolContexts[symbol].find(c => c.preferAlpacaKeys)?.preferAlpacaKeys ?? null;
-      const { price, source } = await getCachedPrice(symbol, prefer);
+      const { price } = await getCachedPrice(symbol, prefer).catch(e => { failed++; throw e; });
       // Now update each context that requested this symbol
       for (const ctx of symbolContexts[symbol]) {
         const { userId, portfolioRef, kind } = ctx;
@@ -467,16 +1088,10 @@ async function checkAndUpdatePrices() {
         // update portfolio object
         portfolioRef.stocks[symbol].lastPrice = price;
 
-        // SSE: send price update
-        pushUpdate(userId, {
-          stockTicker: symbol,
-          price,
-          stopLoss: portfolioRef.stocks[symbol].stopLoss || null,
-          risk: portfolioRef.stocks[symbol].overallRisk || portfolioRef.stocks[symbol].risk || null
-        });
-        pushUpdate(userId, { type: 'price', symbol, price });
+        pushUpdate(userId, priceMessage(kind, symbol, price, portfolioRef.stocks[symbol]));
 
-        // 15min drop check (pass the right portfolio)
+        // stop-loss breach + 15min drop checks (pass the right portfolio)
+        await handleStopLossCheck(userId, kind, symbol, price, portfolioRef);
         await checkFifteenMinuteDrop(userId, symbol, price, portfolioRef);
 
         // decide if compute risk: only if price change >=1% against lastPrice for this user
@@ -488,7 +1103,7 @@ async function checkAndUpdatePrices() {
         }
       }
     } catch (err) {
-      log.error(`❌ שגיאה בעדכון ${symbol}: ${err.message}`);
+      streamLog.error(t(DEFAULT_LOCALE, 'logs.updateFailed', { symbol, error: err.message }));
       // do not spam: continue
     }
   }
@@ -498,57 +1113,79 @@ async function checkAndUpdatePrices() {
     try {
       if (userPortfolios[userId].manual) await recalcPortfolioStopLossesForKind(userId, 'manual');
       if (userPortfolios[userId].alpaca) await recalcPortfolioStopLossesForKind(userId, 'alpaca');
-    } catch (e) { log.error('recalcPortfolioStopLosses error', e.message); }
+    } catch (e) { streamLog.error('recalcPortfolioStopLosses error', e.message); }
+  }
+
+  // portfolio-level VaR / CVaR, pushed over SSE as 'portfolio-risk'
+  for (const userId in userPortfolios) {
+    await updatePortfolioRisk(userId, 'background').catch(e => streamLog.error('updatePortfolioRisk error', e.message));
   }
+
+  refreshLiveSubscriptions(); // position values moved -> slot priorities may have changed
+  endCycle();
+  if (symbols.length === 0 || failed < symbols.length) lastPriceCycle = { at: Date.now(), durationMs: Date.now() - cycleStarted, symbols: symbols.length, failed };
 }
 
 // ====== Finnhub event polling (news + earnings) ======
 async function fetchCompanyNews(symbol, fromISO, toISO) {
   if (!FINNHUB_KEY) return [];
   try {
-    const url = 'https://finnhub.io/api/v1/company-news';
-    const res = await axios.get(url, { params: { symbol, from: fromISO, to: toISO, token: FINNHUB_KEY }, timeout: 10000 });
-    return res.data || [];
-  } catch (err) { log.error('fetchCompanyNews error', symbol, err.message); return []; }
+    return (await finnhub.get('company-news', { symbol, from: fromISO, to: toISO }, { priority: 'background' })) || [];
+  } catch (err) { streamLog.error('fetchCompanyNews error', symbol, err.message); return []; }
 }
 
 async function fetchEarnings(symbol) {
   if (!FINNHUB_KEY) return [];
-  try { const url = 'https://finnhub.io/api/v1/stock/earnings'; const res = await axios.get(url, { params: { symbol, token: FINNHUB_KEY }, timeout: 10000 }); return res.data || []; } catch (err) { log.error('fetchEarnings error', symbol, err.message); return []; }
+  try { return (await finnhub.get('stock/earnings', { symbol }, { priority: 'background' })) || []; } catch (err) { streamLog.error('fetchEarnings error', symbol, err.message); return []; }
 }
 
 async function handleEventForTicker(symbol, event) {
   const eventId = event.id || event.gid || `${symbol}::${event.headline || event.category || event.datetime || event.date || Math.random()}`;
   const now = Date.now();
   seenFinnhubEvents[symbol] = seenFinnhubEvents[symbol] || {};
-  if (seenFinnhubEvents[symbol][eventId] && (now - seenFinnhubEvents[symbol][eventId] < 24*60*60*1000)) return;
+  if (seenFinnhubEvents[symbol][eventId] && (now - seenFinnhubEvents[symbol][eventId] < SEEN_EVENT_TTL_MS)) return;
   seenFinnhubEvents[symbol][eventId] = now;
 
-  log.info(`🛰️ אירוע חדש ל-${symbol}:`, event.headline || event.summary || event.type || event);
+  streamLog.info(t(DEFAULT_LOCALE, 'logs.newEvent', { symbol }), event.headline || event.summary || event.type || event);
 
   for (const userId in userPortfolios) {
-    const p = userPortfolios[userId];
-    if (!p.stocks || !p.stocks[symbol]) continue;
-    try {
-      // event-driven risk calcs: limit to one per SYMBOL per EVENT_RISK_COOLDOWN_MS
-      const lastRisk = p.stocks[symbol].lastRiskAt || 0;
-      if ((now - lastRisk) < EVENT_RISK_COOLDOWN_MS) {
-        log.info(`⏱️ Skipping event-driven risk for ${symbol} (cooldown). headline=${event.headline?.slice(0,80)}`);
-        pushUpdate(userId, { type: 'finnhub-event', symbol, event, risk: p.stocks[symbol].overallRisk });
-        continue;
-      }
+    let notified = false; // one alert per user even when both portfolios hold the symbol
+    for (const kind of ['manual', 'alpaca']) {
+      const p = userPortfolios[userId]?.[kind];
+      if (!p?.stocks?.[symbol]) continue;
+      try {
+        // event-driven risk calcs: limit to one per SYMBOL per EVENT_RISK_COOLDOWN_MS
+        const lastRisk = p.stocks[symbol].lastRiskAt || 0;
+        if ((now - lastRisk) < EVENT_RISK_COOLDOWN_MS) {
+          streamLog.info(`⏱️ Skipping event-driven risk for ${symbol} (cooldown). headline=${event.headline?.slice(0,80)}`);
+          pushUpdate(userId, { type: 'finnhub-event', symbol, kind, event, risk: p.stocks[symbol].overallRisk });
+          continue;
+        }
 
-      const price = p.alpacaKeys ? await getAlpacaPrice(symbol, p.alpacaKeys.key, p.alpacaKeys.secret) : await getFinnhubPrice(symbol);
-      const res = await calculateFullRisk(userId, symbol, price, p, { force: true, reason: 'finnhub-event' });
-      if (res) {
-        // notify (push + mail) but keep notifications deduped by seenFinnhubEvents and handled cooldowns
-        if (userPushSubs[userId]) {
-          try { await sendPushNotification(userPushSubs[userId], { title: `חדשות ל־${symbol}`, body: `${event.headline || 'אירוע משמעותי'} — הסיכון עכשיו: ${res.overallRiskScore}/10`, icon: '/icons/news.png', data: { symbol, event } }); } catch (pushErr) { log.error('Push error on event notify', pushErr.message); }
+        const { price } = await getCachedPrice(symbol, p.alpacaKeys || null);
+        const res = await calculateFullRisk(userId, symbol, price, p, { force: true, reason: 'finnhub-event' });
+        if (res && !notified) {
+          notified = true;
+          // events are already deduped by seenFinnhubEvents; the notifier adds per-user preferences and rate limits
+          const L = userLocale(userId);
+          const headline = event.headline || event.summary || t(L, 'notify.newsEvent.fallbackHeadline');
+          const title = t(L, 'notify.newsEvent.title', { symbol });
+          const body = t(L, 'notify.newsEvent.body', { symbol, headline, risk: res.overallRiskScore });
+          await notifyUser(userId, {
+            type: 'news-event',
+            symbol,
+            title,
+            body,
+            html: emailHtml(L, [title, body]),
+            icon: '/icons/news.png',
+            data: { symbol, event },
+            dedupKey: `news-event:${symbol}:${eventId}`
+          });
+          recordActivity(userId, { type: 'news-event', symbol, headline: event.headline || event.summary || null, url: event.url || null });
         }
-        if (p.userEmail) { try { await sendEmail({ to: p.userEmail, subject: `אירוע חשוב ב־${symbol}: ${event.headline || 'אירוע'}`, html: `<h3>אירוע ב־${symbol}</h3><p>${event.headline || event.summary || JSON.stringify(event)}</p><p>רמת סיכון עכשווית: ${res.overallRiskScore}/10</p>` }); } catch (mailErr) { log.error('Mail error on event notify', mailErr.message); } }
-        pushUpdate(userId, { type: 'finnhub-event', symbol, event, risk: res.overallRiskScore });
-      }
-    } catch (err) { log.error('handleEventForTicker error', err.message); }
+        if (res) pushUpdate(userId, { type: 'finnhub-event', symbol, kind, event, risk: res.overallRiskScore });
+      } catch (err) { streamLog.error('handleEventForTicker error', err.message); }
+    }
   }
 }
 
@@ -557,7 +1194,7 @@ async function pollFinnhubEvents() {
   if (!FINNHUB_KEY) return;
   try {
     const tickersSet = new Set();
-    for (const uid in userPortfolios) { const p = userPortfolios[uid]; if (!p.stocks) continue; for (const s in p.stocks) tickersSet.add(s); }
+    for (const uid in userPortfolios) for (const kind of ['manual', 'alpaca']) for (const s in userPortfolios[uid]?.[kind]?.stocks || {}) tickersSet.add(s);
     const tickers = Array.from(tickersSet);
     if (tickers.length === 0) return;
     const toISO = dayjs().format('YYYY-MM-DD');
@@ -568,22 +1205,92 @@ async function pollFinnhubEvents() {
         for (const item of news) await handleEventForTicker(symbol, item);
         const earnings = await fetchEarnings(symbol);
         if (Array.isArray(earnings) && earnings.length > 0) for (const e of earnings) await handleEventForTicker(symbol, e);
-      } catch (err) { log.error('pollFinnhubEvents per-ticker error', symbol, err.message); }
+      } catch (err) { streamLog.error('pollFinnhubEvents per-ticker error', symbol, err.message); }
     }
-  } catch (err) { log.error('pollFinnhubEvents error', err.message); }
+  } catch (err) { streamLog.error('pollFinnhubEvents error', err.message); }
 }
 
 setInterval(pollFinnhubEvents, FINNHUB_POLL_MINUTES * 60_000);
-pollFinnhubEvents().catch(err => log.error('initial poll error', err.message));
+pollFinnhubEvents().catch(err => streamLog.error('initial poll error', err.message));
 
 // ====== HTTP Routes ======
+// fn over items with at most `limit` calls pending; results keep the input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => { while (next < items.length) { const i = next++; results[i] = await fn(items[i], i); } };
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+}
+
 app.get('/', (req, res) => res.send('✅ RiskWise AI Server Online (Events + Push)'));
 
+// liveness + what the service is doing; always 200 while the process answers
+function healthSnapshot() {
+  const wsStates = ['connecting', 'open', 'closing', 'closed'];
+  const priceAgeMs = lastPriceCycle ? Date.now() - lastPriceCycle.at : null;
+  const providers = {};
+  for (const [source, st] of Object.entries(providerStatus)) providers[source] = { ...st, reachable: st.consecutiveFailures < PROVIDER_FAILURE_THRESHOLD };
+  const subs = liveSubscriptions.status();
+  return {
+    uptimeSec: Math.round(process.uptime()),
+    stateRestored,
+    finnhubStream: {
+      configured: !!FINNHUB_KEY,
+      state: finnhubSocket ? wsStates[finnhubSocket.readyState] : 'not-started',
+      subscribedTickers: subs.live.length,
+      limit: subs.limit,
+      overflowTickers: subs.overflow.length,
+      polledTickers: subs.polling,
+    },
+    priceCycle: lastPriceCycle ? { ...lastPriceCycle, at: new Date(lastPriceCycle.at).toISOString(), ageSec: Math.round(priceAgeMs / 1000) } : null,
+    providers,
+    finnhubRest: finnhub.stats(),
+    sseClients: sseHub.clientCount(),
+    wsClients: clientSockets.clientCount(),
+    users: Object.keys(userPortfolios).length,
+  };
+}
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', ...healthSnapshot() });
+});
+
+// readiness: state restored, live stream open, a recent good price cycle, Finnhub reachable -> 200, else 503
+app.get('/ready', (req, res) => {
+  const h = healthSnapshot();
+  const tracksSymbols = Object.values(userPortfolios).some(up => Object.keys(up?.manual?.stocks || {}).length || Object.keys(up?.alpaca?.stocks || {}).length);
+  const checks = {
+    state: h.stateRestored,
+    finnhubStream: !FINNHUB_KEY || h.finnhubStream.state === 'open',
+    priceCycle: !tracksSymbols || (!!lastPriceCycle && Date.now() - lastPriceCycle.at <= READY_MAX_PRICE_AGE_MS),
+    finnhubProvider: !FINNHUB_KEY || h.providers.finnhub?.reachable !== false,
+  };
+  const ready = Object.values(checks).every(Boolean);
+  res.status(ready ? 200 : 503).json({ ready, checks, ...h });
+});
+
+// Prometheus scrape (admin credential: X-Admin-Key or Bearer)
+app.get('/metrics', requireAdmin, (req, res) => {
+  res.type(metricsRegistry.contentType).send(metricsRegistry.render());
+});
+
 // update-portfolio (supports both manual and alpaca portfolios for same user)
-app.post('/update-portfolio', (req, res) => {
-  log.info('🌐 POST /update-portfolio', JSON.stringify(req.body));
-  const { userId, stocks, alpacaKeys, userEmail, portfolioRiskLevel, totalInvestment, maxLossPercent, type } = req.body;
+app.post('/update-portfolio', requireUser, async (req, res) => {
+  log.info('🌐 POST /update-portfolio', credentials.redactSecrets(req.body));
+  const { userId, stocks, alpacaKeys, alpacaTrading, userEmail, portfolioRiskLevel, totalInvestment, maxLossPercent, allocationMode, stopLossStrategy, locale, type } = req.body;
   if (!userId) return res.status(400).json({ error: 'userId required' });
+  if (typeof locale !== 'undefined' && !resolveLocale(locale)) return res.status(400).json({ error: `locale must be one of ${LOCALES.join(', ')}` });
+  if (typeof allocationMode !== 'undefined' && !ALLOCATION_MODES.includes(ALLOCATION_MODE_ALIASES[allocationMode] || allocationMode)) return res.status(400).json({ error: `allocationMode must be one of ${ALLOCATION_MODES.join(', ')}` });
+  const badStrategy = [stopLossStrategy, ...Object.values(stocks || {}).map(s => s?.stopLossStrategy)].find(v => typeof v !== 'undefined' && !STOPLOSS_STRATEGIES.includes(v));
+  if (typeof badStrategy !== 'undefined') return res.status(400).json({ error: `stopLossStrategy must be one of ${STOPLOSS_STRATEGIES.join(', ')}` });
+
+  // broker credentials are only ever kept encrypted
+  let sealedKeys = null;
+  if (alpacaKeys) {
+    if (!credentials.isConfigured()) return res.status(503).json({ error: 'Credential encryption not configured' });
+    try { sealedKeys = credentials.encryptCredentials(alpacaKeys); } catch (e) { return res.status(400).json({ error: 'alpacaKeys must include key and secret' }); }
+  }
 
   // initialize user entry if needed
   if (!userPortfolios[userId]) userPortfolios[userId] = { manual: null, alpaca: null, userEmail: null, portfolioRiskLevel: null, totalInvestment: null, maxLossPercent: null };
@@ -593,21 +1300,49 @@ app.post('/update-portfolio', (req, res) => {
   if (typeof portfolioRiskLevel !== 'undefined') userPortfolios[userId].portfolioRiskLevel = portfolioRiskLevel;
   if (typeof totalInvestment !== 'undefined') userPortfolios[userId].totalInvestment = totalInvestment;
   if (typeof maxLossPercent !== 'undefined') userPortfolios[userId].maxLossPercent = maxLossPercent;
+  if (typeof allocationMode !== 'undefined') userPortfolios[userId].allocationMode = ALLOCATION_MODE_ALIASES[allocationMode] || allocationMode;
+  if (typeof stopLossStrategy !== 'undefined') userPortfolios[userId].stopLossStrategy = stopLossStrategy; // default for positions without their own
+  if (typeof locale !== 'undefined') userPortfolios[userId].locale = resolveLocale(locale); // notifications, e-mails and digests
+
+  // keep server-managed state for symbols the client sends again (breach state, broker stop order),
+  // so a re-post does not re-fire an active breach or orphan an open order
+  const carryServerState = (prev) => {
+    for (const symbol of Object.keys(stocks || {})) {
+      for (const field of ['stopLossState', 'stopOrder']) {
+        const state = prev?.stocks?.[symbol]?.[field];
+        if (state && stocks[symbol] && !stocks[symbol][field]) stocks[symbol][field] = state;
+      }
+    }
+  };
 
   // Decide where to put stocks: if alpacaKeys present -> alpaca, otherwise manual.
   if (alpacaKeys) {
-    userPortfolios[userId].alpaca = { stocks: stocks || {}, alpacaKeys };
-    log.info(`🔁 Alpaca portfolio updated for ${userId}:`, Object.keys(stocks || {}));
-    Object.keys(stocks || {}).forEach(symbol => subscribeToLiveTicker(symbol));
+    const prevAlpaca = userPortfolios[userId].alpaca;
+    const trading = typeof alpacaTrading !== 'undefined' ? normalizeTradingSettings(alpacaTrading) : (prevAlpaca?.trading ?? null);
+    if (prevAlpaca) {
+      // positions the client dropped, or trading switched off -> pull their broker stops
+      const nextStocks = stocks || prevAlpaca.stocks || {};
+      const dropped = Object.keys(prevAlpaca.stocks || {}).filter(sym => !nextStocks[sym] || !trading?.enabled);
+      await cancelAlpacaStopOrders(userId, prevAlpaca, dropped).catch(err => log.error('cancel stop orders', err.message));
+    }
+    // stocks is optional for alpaca users: the position sync fills it from the account
+    carryServerState(prevAlpaca);
+    userPortfolios[userId].alpaca = { stocks: stocks || prevAlpaca?.stocks || {}, alpacaKeys: sealedKeys, accountEnv: accountEnvForKeys(alpacaKeys), trading };
+    log.info(`🔁 Alpaca portfolio updated for ${userId}:`, Object.keys(userPortfolios[userId].alpaca.stocks));
+    syncAlpacaPositionsForUser(userId).catch(err => log.error(`Alpaca position sync failed for ${userId}: ${err.message}`));
   } else if (stocks) {
+    carryServerState(userPortfolios[userId].manual);
     userPortfolios[userId].manual = { stocks };
     log.info(`🔁 Manual portfolio updated for ${userId}:`, Object.keys(stocks || {}));
-    Object.keys(stocks || {}).forEach(symbol => subscribeToLiveTicker(symbol));
   } else {
     // If called to clear one of them, allow payload type to indicate (optional)
-    if (type === 'clear-alpaca') userPortfolios[userId].alpaca = null;
+    if (type === 'clear-alpaca') {
+      await cancelAlpacaStopOrders(userId, userPortfolios[userId].alpaca).catch(err => log.error('cancel stop orders', err.message));
+      userPortfolios[userId].alpaca = null;
+    }
     if (type === 'clear-manual') userPortfolios[userId].manual = null;
   }
+  refreshLiveSubscriptions(); // dropped symbols release their socket slot
 
   // ensure price cache holder per user
   if (!userPrices[userId]) userPrices[userId] = {};
@@ -616,82 +1351,284 @@ app.post('/update-portfolio', (req, res) => {
   if (userPortfolios[userId].alpaca) recalcPortfolioStopLossesForKind(userId, 'alpaca').catch(err => log.error('initial recalc alpaca', err.message));
   if (userPortfolios[userId].manual) recalcPortfolioStopLossesForKind(userId, 'manual').catch(err => log.error('initial recalc manual', err.message));
 
+  await persistKey('portfolios', userId);
   res.json({ message: 'Portfolio updated' });
 });
 
 // fetch portfolio
-app.get('/portfolio/:userId', (req, res) => {
+app.get('/portfolio/:userId', requireUser, async (req, res) => {
   const userId = req.params.userId;
   log.info('🔍 GET /portfolio', userId);
-  const portfolio = userPortfolios[userId];
+  const portfolio = userPortfolios[userId] ?? await storage.get('portfolios', userId);
   if (!portfolio) return res.status(404).json({ error: 'Not found' });
-  res.json(portfolio);
+  res.json(credentials.redactSecrets(portfolio));
+});
+
+// portfolio VaR / CVaR (1d/10d, 95/99%) for the manual and alpaca portfolios
+app.get('/portfolio/:userId/risk', requireUser, async (req, res) => {
+  const userId = req.params.userId;
+  if (!userPortfolios[userId]) return res.status(404).json({ error: 'Not found' });
+  let result = portfolioRiskCache[userId];
+  if (!result || (Date.now() - result.computedAt) > PORTFOLIO_RISK_MAX_AGE_MS) result = await updatePortfolioRisk(userId, 'user');
+  res.json({ userId, manual: result.manual, alpaca: result.alpaca, computedAt: new Date(result.computedAt).toISOString() });
 });
 
-// push subscribe
-app.post('/subscribe', (req, res) => {
-  const { userId, subscription } = req.body;
+// stop-loss breach history (newest first), optional ?symbol= filter
+app.get('/portfolio/:userId/breaches', requireUser, async (req, res) => {
+  const userId = req.params.userId;
+  const symbol = (req.query.symbol || '').toUpperCase();
+  const all = stopLossBreaches[userId] ?? await storage.get('breaches', userId) ?? [];
+  const breaches = all.filter(b => !symbol || b.symbol === symbol).slice().reverse();
+  const active = breaches.filter(b => !b.rearmedAt);
+  res.json({ userId, active, breaches });
+});
+
+// Alpaca stop-order audit log (newest first), optional ?symbol= filter
+app.get('/portfolio/:userId/orders/audit', requireUser, async (req, res) => {
+  const userId = req.params.userId;
+  const symbol = (req.query.symbol || '').toUpperCase();
+  const all = alpacaOrderAudit[userId] ?? await storage.get('orderAudit', userId) ?? [];
+  res.json({ userId, audit: all.filter(a => !symbol || a.symbol === symbol).slice().reverse() });
+});
+
+// push: public VAPID key for PushManager.subscribe({ applicationServerKey })
+app.get('/push/vapid-public-key', (req, res) => {
+  if (!push.isConfigured()) return res.status(503).json({ error: 'Push notifications not configured' });
+  res.json({ publicKey: push.getVapidPublicKey() });
+});
+
+// push subscribe — one entry per device; re-subscribing the same endpoint refreshes its keys
+app.post('/subscribe', requireUser, async (req, res) => {
+  const { userId, subscription, device } = req.body;
   if (!userId || !subscription) return res.status(400).json({ error: 'Missing userId or subscription' });
-  userPushSubs[userId] = subscription;
-  log.info(`🔔 משתמש ${userId} נרשם להתראות Push`);
-  res.json({ message: 'Subscribed successfully for push notifications' });
+  if (!push.isValidSubscription(subscription)) return res.status(400).json({ error: 'subscription must have an https endpoint and keys.p256dh / keys.auth' });
+
+  const id = push.subscriptionId(subscription);
+  const subs = (userPushSubs[userId] || []).filter(s => s.endpoint !== subscription.endpoint);
+  subs.push({ endpoint: subscription.endpoint, keys: subscription.keys, expirationTime: subscription.expirationTime ?? null, id, device: device || req.get('user-agent') || null, createdAt: new Date().toISOString(), lastUsedAt: null });
+  if (subs.length > PUSH_MAX_DEVICES) subs.splice(0, subs.length - PUSH_MAX_DEVICES);
+  userPushSubs[userId] = subs;
+  await persistKey('pushSubs', userId);
+  notifyLog.info(t(DEFAULT_LOCALE, 'logs.pushSubscribed', { userId, count: subs.length }));
+  res.json({ message: 'Subscribed successfully for push notifications', id, devices: subs.length });
+});
+
+// push unsubscribe — by endpoint (from the browser), by id (from the device list) or every device with all: true
+app.post('/unsubscribe', requireUser, async (req, res) => {
+  const { userId, endpoint, id, all } = req.body;
+  if (!userId) return res.status(400).json({ error: 'userId required' });
+  if (!endpoint && !id && all !== true) return res.status(400).json({ error: 'endpoint, id or all: true required' });
+  const subs = userPushSubs[userId] || [];
+  const kept = all === true ? [] : subs.filter(s => s.endpoint !== endpoint && s.id !== id);
+  if (kept.length === subs.length && all !== true) return res.status(404).json({ error: 'subscription not found' });
+  userPushSubs[userId] = kept;
+  await persistKey('pushSubs', userId);
+  notifyLog.info(t(DEFAULT_LOCALE, 'logs.pushUnsubscribed', { userId, count: subs.length - kept.length }));
+  res.json({ message: 'Unsubscribed', removed: subs.length - kept.length, devices: kept.length });
 });
 
-// SSE
-app.get('/events/:userId', (req, res) => {
+app.get('/users/:userId/push-subscriptions', requireUser, (req, res) => {
+  const devices = (userPushSubs[req.params.userId] || []).map(({ id, device, createdAt, lastUsedAt, expirationTime }) => ({ id, device, createdAt, lastUsedAt, expirationTime }));
+  res.json({ userId: req.params.userId, devices });
+});
+
+// SSE: named events with ids; reconnects resume via Last-Event-ID (or ?lastEventId=)
+// filters: ?types=risk-update,stoploss-updated&symbols=AAPL
+app.get('/events/:userId', requireUser, (req, res) => {
   const userId = req.params.userId;
-  log.info('📡 SSE connect', userId);
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.flushHeaders();
-  if (!sseClients[userId]) sseClients[userId] = [];
-  sseClients[userId].push(res);
-  req.on('close', () => {
-    log.warn('❌ SSE closed for', userId);
-    sseClients[userId] = sseClients[userId].filter(r => r !== res);
-  });
+  streamLog.info('📡 SSE connect', userId);
+  sseHub.connect(req, res, userId);
+  req.on('close', () => streamLog.warn('❌ SSE closed for', userId));
+});
+
+// per-user risk weight profile: { profile: 'conservative' | 'balanced' | 'aggressive' } or { weights: { beta: 0.2, ... } }
+app.get('/users/:userId/risk-profile', requireUser, (req, res) => {
+  const profile = userPortfolios[req.params.userId]?.riskProfile || { name: DEFAULT_PROFILE };
+  res.json({ userId: req.params.userId, name: profile.name, weights: profile.name === 'custom' ? profile.weights : WEIGHT_PROFILES[profile.name] });
 });
 
-// risk endpoints (unchanged)
-app.get('/risk/:ticker', async (req, res) => {
+app.put('/users/:userId/risk-profile', requireUser, async (req, res) => {
+  const userId = req.params.userId;
+  const { profile, weights } = req.body || {};
+  let riskProfile;
+  if (weights !== undefined) {
+    const v = validateWeights(weights);
+    if (!v.ok) return res.status(400).json({ error: v.error });
+    riskProfile = { name: 'custom', weights: v.weights };
+  } else if (profile && WEIGHT_PROFILES[profile]) {
+    riskProfile = { name: profile };
+  } else {
+    return res.status(400).json({ error: `profile must be one of ${Object.keys(WEIGHT_PROFILES).join(', ')} or weights must be given` });
+  }
+
+  if (!userPortfolios[userId]) userPortfolios[userId] = { manual: null, alpaca: null, userEmail: null, portfolioRiskLevel: null, totalInvestment: null, maxLossPercent: null };
+  userPortfolios[userId].riskProfile = riskProfile;
+  // next cycle should re-score every position with the new weights
+  for (const kind of ['manual', 'alpaca']) {
+    for (const s of Object.values(userPortfolios[userId][kind]?.stocks || {})) s.lastRiskAt = 0;
+  }
+  await persistKey('portfolios', userId);
+  res.json({ userId, name: riskProfile.name, weights: riskProfile.weights || WEIGHT_PROFILES[riskProfile.name] });
+});
+
+// notification preferences: channels, per-alert-type channels, quiet hours, outbound webhook
+app.get('/users/:userId/notification-settings', requireUser, (req, res) => {
+  const userId = req.params.userId;
+  res.json({ userId, settings: resolveSettings(userPortfolios[userId]?.notificationSettings), alertTypes: Object.keys(ALERT_TYPES), channels: NOTIFY_CHANNELS });
+});
+
+app.put('/users/:userId/notification-settings', requireUser, async (req, res) => {
+  const userId = req.params.userId;
+  const merged = mergeSettings(userPortfolios[userId]?.notificationSettings, req.body);
+  if (!merged.ok) return res.status(400).json({ error: merged.error });
+  if (req.body.webhookUrl) {
+    const problem = await checkWebhookUrl(req.body.webhookUrl);
+    if (problem) return res.status(400).json({ error: problem });
+  }
+
+  if (!userPortfolios[userId]) userPortfolios[userId] = { manual: null, alpaca: null, userEmail: null, portfolioRiskLevel: null, totalInvestment: null, maxLossPercent: null };
+  userPortfolios[userId].notificationSettings = merged.settings;
+  await persistKey('portfolios', userId);
+  res.json({ userId, settings: resolveSettings(merged.settings) });
+});
+
+// rendered digest HTML without sending it (?period=daily|weekly&lang=he|en&format=html|json; lang defaults to the user's locale)
+app.get('/users/:userId/digest/preview', requireUser, (req, res) => {
+  const userId = req.params.userId;
+  const period = req.query.period || 'daily';
+  const lang = req.query.lang ? resolveLocale(req.query.lang) : userLocale(userId);
+  if (!DIGEST_PERIODS[period]) return res.status(400).json({ error: `period must be one of ${Object.keys(DIGEST_PERIODS).join(', ')}` });
+  if (!lang) return res.status(400).json({ error: `lang must be one of ${LOCALES.join(', ')}` });
+  if (!userPortfolios[userId]) return res.status(404).json({ error: 'Portfolio not found' });
+  const digest = userDigest(userId, period);
+  if (req.query.format === 'json') return res.json({ subject: digestSubject(digest, lang), digest });
+  res.type('html').send(renderDigestHtml(digest, lang));
+});
+
+// risk endpoints (any signed-in user; not bound to a userId)
+// available named weight profiles
+app.get('/risk/profiles', requireUser, (req, res) => {
+  res.json({ default: DEFAULT_PROFILE, profiles: WEIGHT_PROFILES });
+});
+
+app.get('/risk/:ticker', requireUser, async (req, res) => {
   const ticker = (req.params.ticker || '').toUpperCase();
   if (!ticker) return res.status(400).json({ error: 'ticker required' });
-  try { const analysis = await analyzeStockRisk(ticker); const overallRiskScore = analysis?.overallRiskScore ?? analysis?.riskScore ?? null; res.json({ ticker, risk: overallRiskScore, analysis }); } catch (err) { res.status(500).json({ error: err.message }); }
+  if (req.query.profile && !WEIGHT_PROFILES[req.query.profile]) return res.status(400).json({ error: `unknown profile: ${req.query.profile}` });
+  try {
+    const analysis = await analyzeStockRisk(ticker, null, { weights: req.query.profile || userRiskWeights(req.auth?.userId) });
+    const overallRiskScore = analysis?.overallRiskScore ?? analysis?.riskScore ?? null;
+    // trend deltas compare default-profile scores only, whatever profile `risk` was scored with
+    const base = await recordRiskHistory(ticker, analysis, null, 'user');
+    res.json({ ticker, risk: overallRiskScore, trend: riskHistory.trend(ticker, base?.overallRiskScore ?? null), analysis });
+  } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-app.post('/risk/bulk', async (req, res) => {
-  const tickers = req.body.tickers || [];
-  if (!Array.isArray(tickers) || tickers.length === 0) return res.status(400).json({ error: 'tickers required' });
-  try { const promises = tickers.map(t => analyzeStockRisk(t)); const results = await Promise.all(promises); const mapped = tickers.map((t,i) => ({ ticker: t.toUpperCase(), risk: results[i]?.overallRiskScore ?? results[i]?.riskScore ?? null, analysis: results[i] })); res.json({ results: mapped }); } catch (err) { res.status(500).json({ error: err.message }); }
+// plain-language explanation: top drivers, change since the previous recorded analysis, suggested action (?lang=he|en&profile=)
+// without ?lang: the caller's stored locale, then Accept-Language, then DEFAULT_LOCALE
+app.get('/risk/:ticker/explain', requireUser, async (req, res) => {
+  const ticker = (req.params.ticker || '').toUpperCase();
+  const callerLocale = userPortfolios[req.auth?.userId]?.locale || resolveLocale(req.get('accept-language')) || DEFAULT_LOCALE;
+  const lang = req.query.lang ? resolveLocale(req.query.lang) : callerLocale;
+  if (!EXPLAIN_LANGS.includes(lang)) return res.status(400).json({ error: `lang must be one of ${EXPLAIN_LANGS.join(', ')}` });
+  if (req.query.profile && !WEIGHT_PROFILES[req.query.profile]) return res.status(400).json({ error: `unknown profile: ${req.query.profile}` });
+  try {
+    const analysis = await analyzeStockRisk(ticker, null, { weights: req.query.profile || userRiskWeights(req.auth?.userId) });
+    if (analysis.explanation?.error) return res.status(502).json({ error: `risk analysis failed: ${analysis.explanation.error}` });
+    // compare with the last point recorded before this analysis, then record this one
+    const analyzedAt = parseTime(analysis.analyzedAt) ?? Date.now();
+    const previous = riskHistory.range(ticker, null, analyzedAt - 1).pop() || null;
+    await recordRiskHistory(ticker, analysis, null, 'user');
+    const explanation = await explainRisk(ticker, analysis, { previous, lang });
+    res.json({ ticker, risk: analysis.overallRiskScore, analyzedAt: analysis.analyzedAt, ...explanation });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// risk score time series (?from&to as ISO dates or epoch ms)
+app.get('/risk/:ticker/history', requireUser, (req, res) => {
+  const ticker = (req.params.ticker || '').toUpperCase();
+  const { from, to } = req.query;
+  if ((from && parseTime(from) === null) || (to && parseTime(to) === null)) return res.status(400).json({ error: 'from/to must be ISO dates or epoch ms' });
+  const points = riskHistory.range(ticker, from, to).map(p => ({ ...p, at: new Date(p.at).toISOString() }));
+  res.json({ ticker, from: from ?? null, to: to ?? null, count: points.length, points, trend: riskHistory.trend(ticker) });
+});
+
+// at most RISK_BULK_MAX_TICKERS, RISK_BULK_CONCURRENCY at a time; 503 while the Finnhub 'user' lane is full
+app.post('/risk/bulk', requireUser, async (req, res) => {
+  const raw = req.body.tickers || [];
+  if (!Array.isArray(raw) || raw.length === 0 || !raw.every(t => typeof t === 'string' && t.trim())) return res.status(400).json({ error: 'tickers required' });
+  const tickers = [...new Set(raw.map(t => t.trim().toUpperCase()))];
+  if (tickers.length > RISK_BULK_MAX_TICKERS) return res.status(400).json({ error: `at most ${RISK_BULK_MAX_TICKERS} tickers per request` });
+  if (finnhub.queueFull('user')) return res.status(503).set('Retry-After', '60').json({ error: 'risk data provider busy, try again shortly' });
+  try {
+    const weights = userRiskWeights(req.auth?.userId);
+    const results = await mapWithConcurrency(tickers, RISK_BULK_CONCURRENCY, t => analyzeStockRisk(t, null, { weights }));
+    res.json({ results: tickers.map((t, i) => ({ ticker: t, risk: results[i]?.overallRiskScore ?? results[i]?.riskScore ?? null, analysis: results[i] })) });
+  } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-app.post('/webhook/event', async (req, res) => {
+app.post('/webhook/event', requireAdmin, async (req, res) => {
   const { ticker } = req.body;
   if (!ticker) return res.status(400).json({ error: 'ticker required' });
   // clear seen events for this ticker so webhook can force reprocessing if needed
   seenFinnhubEvents[ticker] = {};
   for (const userId in userPortfolios) {
-    const p = userPortfolios[userId];
-    if (p.stocks && p.stocks[ticker]) {
+    for (const kind of ['manual', 'alpaca']) {
+      const p = userPortfolios[userId]?.[kind];
+      if (!p?.stocks?.[ticker]) continue;
       try {
-        const price = p.alpacaKeys ? await getAlpacaPrice(ticker, p.alpacaKeys.key, p.alpacaKeys.secret) : await getFinnhubPrice(ticker);
+        const { price } = await getCachedPrice(ticker, p.alpacaKeys || null);
         const resCalc = await calculateFullRisk(userId, ticker, price, p, { force: true, reason: 'webhook' });
-        if (resCalc) { await updateStopLossAndNotify(userId, ticker, p, price, resCalc.overallRiskScore); pushUpdate(userId, { type: 'webhook-recalc', ticker, price, risk: resCalc.overallRiskScore }); }
+        if (resCalc) { await updateStopLossAndNotify(userId, ticker, p, price, resCalc.overallRiskScore); pushUpdate(userId, { type: 'webhook-recalc', ticker, kind, price, risk: resCalc.overallRiskScore }); }
       } catch (err) { log.error('Webhook recalculation error for', ticker, err.message); }
     }
   }
   res.json({ ok: true });
 });
 
-// Start server + loop
-app.listen(PORT, () => {
-  log.info(`✅ Server started on port ${PORT}`);
-  setInterval(checkAndUpdatePrices, 60 * 1000);
-  checkAndUpdatePrices().catch(e => log.error('initial price check error', e.message));
-});
+// Start server + loop (only after persisted state is back, so the first cycle sees every user)
+restoreState()
+  .then(() => {
+    const server = app.listen(PORT, () => {
+      log.info(`✅ Server started on port ${PORT}`);
+      if (FINNHUB_KEY) liveSubscriptions.start();
+      setInterval(checkAndUpdatePrices, 60 * 1000);
+      checkAndUpdatePrices().catch(e => log.error('initial price check error', e.message));
+    });
+    clientSockets.attach(server);
+    setInterval(() => persistState().catch(e => log.error('persistState error', e.message)), STORAGE_FLUSH_MS);
+    if (ALPACA_SYNC_INTERVAL_MS > 0) {
+      setInterval(() => syncAllAlpacaPositions().catch(e => log.error('syncAllAlpacaPositions error', e.message)), ALPACA_SYNC_INTERVAL_MS);
+      syncAllAlpacaPositions().catch(e => log.error('initial Alpaca sync error', e.message));
+    }
+  })
+  .catch(err => {
+    // refuse to start empty: the next flush would overwrite the stored state
+    log.error('❌ Failed to restore state', err.message);
+    process.exit(1);
+  });
+
+// graceful shutdown: flush state before exiting
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log.info(`🛑 ${signal} received — flushing state`);
+  clientSockets.close();
+  notifier.close();
+  finnhub.close();
+  try { await persistState(); await storage.close(); } catch (e) { log.error('state flush on shutdown failed', e.message); }
+  await log.close();
+  process.exit(0);
+}
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // weekly cron
 cron.schedule('0 14 * * 5', async () => {
   try { log.info('Weekly scheduled run: checkAndUpdatePrices'); await checkAndUpdatePrices(); await pollFinnhubEvents(); } catch (e) { log.error('Scheduled job error', e.message); }
 });
+
+// e-mail digests
+cron.schedule(DIGEST_DAILY_CRON, () => sendDigests('daily').catch(e => log.error('Daily digest error', e.message)), { timezone: DIGEST_TIMEZONE });
+cron.schedule(DIGEST_WEEKLY_CRON, () => sendDigests('weekly').catch(e => log.error('Weekly digest error', e.message)), { timezone: DIGEST_TIMEZONE });
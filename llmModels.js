@@ -0,0 +1,39 @@
+// llmModels.js
+// CommonJS module - picks a text-generation backend by name and wraps it with retries.
+// Backends: 'hf' (hfClient.js), 'base44' (base44Client.js), 'mock' (mockLlmModel.js, deterministic, no network).
+// Every backend is prompt -> parsed JSON object; callers validate the shape themselves.
+
+const { generateJSONFromHF } = require('./hfClient');
+const { generateJSONFromBase44 } = require('./base44Client');
+const { generateJSONFromMock } = require('./mockLlmModel');
+
+const BACKENDS = {
+  hf: { generate: generateJSONFromHF, configured: () => !!(process.env.HF_MODEL && process.env.HUGGINGFACE_API_KEY) },
+  base44: { generate: generateJSONFromBase44, configured: () => !!process.env.BASE44_API_URL },
+  mock: { generate: generateJSONFromMock, configured: () => true },
+};
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// null when the name is empty/unknown or the backend's env is missing
+function getModel(name) {
+  const backend = BACKENDS[String(name || '').toLowerCase()];
+  if (!backend || !backend.configured()) return null;
+  return backend;
+}
+
+// generate + validate, retrying with exponential backoff; validate(json) returns the cleaned value or throws
+async function generateValidated(backend, prompt, validate, { retries = 2, backoffMs = 500 } = {}) {
+  let lastErr;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      return validate(await backend.generate(prompt));
+    } catch (e) {
+      lastErr = e;
+      if (attempt < retries) await sleep(backoffMs * Math.pow(2, attempt));
+    }
+  }
+  throw lastErr;
+}
+
+module.exports = { BACKENDS, getModel, generateValidated };
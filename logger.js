@@ -1,28 +1,186 @@
 // logger.js
+// CommonJS module - structured JSON logger shared by every module.
+// One JSON object per line: { time, level, msg, subsystem?, requestId?, ...fields }. Call it like console
+// (log.info('msg', value, err)) or with fields first (log.info({ symbol }, 'msg')).
+// LOG_LEVEL (debug | info | warn | error | silent) filters; child({ subsystem: 'risk' }) adds bindings to every line.
+// requestContext() is Express middleware that gives each request a correlation id (X-Request-Id in/out); anything
+// logged while that request is being handled carries it, across awaits, via AsyncLocalStorage.
+// Secrets are redacted by key and by pattern before a line is written. The file (LOG_FILE) is rotated when it
+// passes LOG_MAX_BYTES or is older than LOG_ROTATE_HOURS, keeping LOG_MAX_FILES old files (server.log.1 = newest).
+
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FILE = process.env.LOG_FILE === undefined ? path.join(__dirname, 'server.log') : process.env.LOG_FILE; // '' = console only
+const LOG_MAX_BYTES = Number(process.env.LOG_MAX_BYTES || 10 * 1024 * 1024); // rotate when the file passes this size
+const LOG_ROTATE_HOURS = Number(process.env.LOG_ROTATE_HOURS || 24); // ...or when it is older than this (0 = size only)
+const LOG_MAX_FILES = Number(process.env.LOG_MAX_FILES || 5); // rotated files kept next to LOG_FILE
+const LOG_CONSOLE_FORMAT = process.env.LOG_CONSOLE_FORMAT || (process.stdout.isTTY ? 'pretty' : 'json'); // json | pretty | off
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY = /pass(word)?$|secret|token|authorization|cookie|api[-_]?key|private[-_]?key|^auth$|^p256dh$|^alpacakeys$/i;
+const SENSITIVE_TEXT = [
+  [/([?&](token|apikey|api_key|key|secret)=)[^&\s"']+/gi, `$1${REDACTED}`],
+  [/(Bearer\s+)[\w.~+/-]+=*/gi, `$1${REDACTED}`],
+  [/\b(sk|pk)-[A-Za-z0-9_-]{16,}/g, REDACTED],
+];
+
+const context = new AsyncLocalStorage();
+
+function redactText(text) {
+  return SENSITIVE_TEXT.reduce((s, [re, to]) => s.replace(re, to), text);
+}
+
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactText(value);
+  if (value === null || typeof value !== 'object' || depth > 8) return value;
+  if (value instanceof Error) return { name: value.name, message: redactText(value.message), code: value.code, status: value.response?.status ?? value.statusCode, stack: value.stack };
+  if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = SENSITIVE_KEY.test(k) && v ? REDACTED : redact(v, depth + 1);
+  return out;
+}
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && Object.getPrototypeOf(v) === Object.prototype;
+
+// console-style arguments -> { msg, fields }: strings/numbers join into msg, the first Error becomes `err`,
+// objects are collected under `data` (a leading plain object is taken as fields instead)
+function normalizeArgs(args) {
+  const fields = {};
+  const parts = [];
+  const data = [];
+  let rest = args;
+  if (isPlainObject(args[0]) && typeof args[1] === 'string') { Object.assign(fields, args[0]); rest = args.slice(1); }
+  for (const a of rest) {
+    if (a instanceof Error && !fields.err) fields.err = a;
+    else if (a !== null && typeof a === 'object') data.push(a);
+    else if (a !== undefined && a !== '') parts.push(String(a));
+  }
+  if (data.length) fields.data = data.length === 1 ? data[0] : data;
+  return { msg: parts.join(' '), fields };
+}
+
+// ---------- file sink with rotation ----------
+function createFileSink(file, { maxBytes, rotateMs, maxFiles }) {
+  let stream = null;
+  let bytes = 0;
+  let openedAt = 0;
+  let failed = false;
+
+  function open() {
+    try {
+      const st = fs.existsSync(file) ? fs.statSync(file) : null;
+      bytes = st ? st.size : 0;
+      openedAt = st ? (st.birthtimeMs || st.mtimeMs) : Date.now();
+    } catch (e) { bytes = 0; openedAt = Date.now(); }
+    stream = fs.createWriteStream(file, { flags: 'a' });
+    stream.on('error', (err) => {
+      if (!failed) console.error(`❌ log file ${file} unavailable: ${err.message} — logging to console only`);
+      failed = true;
+    });
+  }
 
-const logFile = path.join(__dirname, 'server.log');
+  // server.log -> server.log.1 -> ... -> server.log.<maxFiles> (dropped)
+  function rotate() {
+    stream.end();
+    try {
+      for (let i = maxFiles - 1; i >= 1; i--) {
+        if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+      }
+      if (maxFiles > 0) fs.renameSync(file, `${file}.1`);
+      else fs.unlinkSync(file);
+    } catch (e) { console.error(`❌ log rotation failed: ${e.message}`); }
+    open();
+    bytes = 0;
+    openedAt = Date.now();
+  }
+
+  function write(line) {
+    if (failed) return;
+    if (!stream) open();
+    const size = Buffer.byteLength(line);
+    if (bytes > 0 && ((maxBytes > 0 && bytes + size > maxBytes) || (rotateMs > 0 && Date.now() - openedAt >= rotateMs))) rotate();
+    stream.write(line);
+    bytes += size;
+  }
+
+  function close() {
+    return new Promise(resolve => (stream && !failed ? stream.end(resolve) : resolve()));
+  }
 
-function writeLog(level, message) {
-  const timestamp = new Date().toISOString();
-  const line = `[${timestamp}] [${level.toUpperCase()}] ${message}\n`; // ← תוקן כאן
-  fs.appendFile(logFile, line, (err) => {
-    if (err) console.error("❌ שגיאה בכתיבה ללוג:", err.message);
-  });
+  return { write, close };
 }
 
-module.exports = {
-  info: (msg) => {
-    console.log(msg);
-    writeLog('info', msg);
-  },
-  error: (msg) => {
-    console.error(msg);
-    writeLog('error', msg);
-  },
-  warn: (msg) => {
-    console.warn(msg);
-    writeLog('warn', msg);
+function createLogger({
+  level = LOG_LEVEL,
+  file = LOG_FILE,
+  consoleFormat = LOG_CONSOLE_FORMAT,
+  maxBytes = LOG_MAX_BYTES,
+  rotateHours = LOG_ROTATE_HOURS,
+  maxFiles = LOG_MAX_FILES,
+} = {}) {
+  const sink = file ? createFileSink(file, { maxBytes, rotateMs: rotateHours * 60 * 60 * 1000, maxFiles }) : null;
+  let threshold = LEVELS[level] ?? LEVELS.info;
+
+  function emit(lvl, bindings, args) {
+    if (LEVELS[lvl] < threshold) return;
+    const { msg, fields } = normalizeArgs(args);
+    const requestId = context.getStore()?.requestId;
+    const entry = redact({ time: new Date().toISOString(), level: lvl, ...bindings, ...(requestId ? { requestId } : {}), msg, ...fields });
+    const line = JSON.stringify(entry) + '\n';
+    if (sink) sink.write(line);
+
+    const out = lvl === 'error' ? console.error : lvl === 'warn' ? console.warn : console.log;
+    if (consoleFormat === 'json') out(line.trimEnd());
+    else if (consoleFormat === 'pretty') {
+      const { time, level: l, msg: m, subsystem, requestId: rid, ...extra } = entry;
+      const tail = Object.keys(extra).length ? ' ' + JSON.stringify(extra) : '';
+      out(`[${time}] ${l.toUpperCase()}${subsystem ? ` [${subsystem}]` : ''}${rid ? ` (${rid})` : ''} ${m}${tail}`);
+    }
   }
-};
+
+  function make(bindings) {
+    return {
+      debug: (...args) => emit('debug', bindings, args),
+      info: (...args) => emit('info', bindings, args),
+      warn: (...args) => emit('warn', bindings, args),
+      error: (...args) => emit('error', bindings, args),
+      child: (extra) => make({ ...bindings, ...extra }),
+      isLevelEnabled: (lvl) => LEVELS[lvl] >= threshold,
+    };
+  }
+
+  const root = make({});
+  root.setLevel = (lvl) => { if (LEVELS[lvl]) threshold = LEVELS[lvl]; };
+  root.close = () => (sink ? sink.close() : Promise.resolve());
+  return root;
+}
+
+const logger = createLogger();
+
+// Express middleware: correlation id per request (client X-Request-Id is reused when it looks sane) and one
+// access line when the response finishes. The query string is left out of the access line.
+function requestContext({ log = logger.child({ subsystem: 'http' }) } = {}) {
+  return (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    req.id = requestId;
+    res.setHeader('X-Request-Id', requestId);
+    const started = Date.now();
+    res.on('finish', () => {
+      const lvl = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      log[lvl]({ requestId, method: req.method, path: req.originalUrl.split('?')[0], status: res.statusCode, durationMs: Date.now() - started }, `${req.method} ${req.originalUrl.split('?')[0]} ${res.statusCode}`);
+    });
+    context.run({ requestId }, next);
+  };
+}
+
+module.exports = logger;
+module.exports.createLogger = createLogger;
+module.exports.requestContext = requestContext;
+module.exports.redact = redact;
+module.exports.LEVELS = LEVELS;
@@ -0,0 +1,107 @@
+// metrics.js
+// CommonJS module - minimal Prometheus registry (text exposition format 0.0.4), no external dependency.
+// counter / gauge / histogram take { name, help, labelNames }; gauges and counters may also take collect(),
+// called on every scrape to read a value kept elsewhere (SSE clients, NodeCache stats).
+// index.js owns the registry and serves registry.render() on GET /metrics.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // seconds
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels = {}) {
+  return labelNames.map(n => labels[n] ?? '').join('\u0000');
+}
+
+function formatLabels(labelNames, key, extra = '') {
+  const values = key.split('\u0000');
+  const parts = labelNames.map((n, i) => `${n}="${escapeLabel(values[i])}"`).filter((p, i) => values[i] !== '');
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    metrics.push(metric);
+    return metric;
+  }
+
+  // collect(set) fills values at scrape time: set(value) or set(labels, value)
+  function withCollect(metric, collect) {
+    if (!collect) return;
+    metric.collect = () => {
+      metric.values.clear();
+      collect((a, b) => (b === undefined ? metric.values.set(labelKey(metric.labelNames), a) : metric.values.set(labelKey(metric.labelNames, a), b)));
+    };
+  }
+
+  function counter({ name, help, labelNames = [], collect = null }) {
+    const m = register({ type: 'counter', name, help, labelNames, values: new Map() });
+    withCollect(m, collect);
+    return {
+      inc: (labels = {}, by = 1) => {
+        const key = labelKey(labelNames, labels);
+        m.values.set(key, (m.values.get(key) || 0) + by);
+      },
+    };
+  }
+
+  function gauge({ name, help, labelNames = [], collect = null }) {
+    const m = register({ type: 'gauge', name, help, labelNames, values: new Map() });
+    withCollect(m, collect);
+    return {
+      set: (labels, value) => (value === undefined ? m.values.set(labelKey(labelNames), labels) : m.values.set(labelKey(labelNames, labels), value)),
+    };
+  }
+
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const sorted = [...buckets].sort((a, b) => a - b);
+    const m = register({ type: 'histogram', name, help, labelNames, buckets: sorted, values: new Map() });
+    const observe = (labels = {}, value) => {
+      const key = labelKey(labelNames, labels);
+      const h = m.values.get(key) || { counts: sorted.map(() => 0), sum: 0, count: 0 };
+      sorted.forEach((le, i) => { if (value <= le) h.counts[i]++; });
+      h.sum += value;
+      h.count++;
+      m.values.set(key, h);
+    };
+    return {
+      observe,
+      // const end = h.startTimer({ source }); ...; end({ status }) -> observes elapsed seconds
+      startTimer: (labels = {}) => {
+        const started = process.hrtime.bigint();
+        return (more = {}) => observe({ ...labels, ...more }, Number(process.hrtime.bigint() - started) / 1e9);
+      },
+    };
+  }
+
+  function render() {
+    const out = [];
+    for (const m of metrics) {
+      if (m.collect) {
+        try { m.collect(); } catch (e) { /* a failing collector leaves the metric empty */ }
+      }
+      out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+      for (const [key, v] of m.values) {
+        if (m.type !== 'histogram') { out.push(`${m.name}${formatLabels(m.labelNames, key)} ${v}`); continue; }
+        m.buckets.forEach((le, i) => out.push(`${m.name}_bucket${formatLabels(m.labelNames, key, `le="${le}"`)} ${v.counts[i]}`));
+        out.push(`${m.name}_bucket${formatLabels(m.labelNames, key, 'le="+Inf"')} ${v.count}`);
+        out.push(`${m.name}_sum${formatLabels(m.labelNames, key)} ${v.sum}`);
+        out.push(`${m.name}_count${formatLabels(m.labelNames, key)} ${v.count}`);
+      }
+    }
+    return out.join('\n') + '\n';
+  }
+
+  // process basics every scrape should have
+  gauge({ name: 'process_resident_memory_bytes', help: 'Resident memory size in bytes', collect: (set) => set(process.memoryUsage().rss) });
+  gauge({ name: 'nodejs_heap_used_bytes', help: 'V8 heap in use in bytes', collect: (set) => set(process.memoryUsage().heapUsed) });
+  gauge({ name: 'process_uptime_seconds', help: 'Seconds since the process started', collect: (set) => set(Math.round(process.uptime())) });
+
+  return { counter, gauge, histogram, render, contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+}
+
+module.exports = { createRegistry, DEFAULT_BUCKETS };
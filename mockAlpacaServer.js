@@ -0,0 +1,114 @@
+// mockAlpacaServer.js
+// Minimal in-memory stand-in for the Alpaca trading API (orders + positions), for local testing and test/alpaca.test.js.
+// Run: node mockAlpacaServer.js  (MOCK_ALPACA_PORT, default 4010)
+// then start the server with ALPACA_TRADING_BASE_URL=http://localhost:4010
+// Seed account positions with PUT /mock/positions [{ symbol, qty, avg_entry_price, current_price }, ...]
+
+const express = require('express');
+const crypto = require('crypto');
+
+function createMockAlpacaApp() {
+  const app = express();
+  app.use(express.json());
+
+  const orders = {}; // id -> order
+  const positions = {}; // symbol -> position
+  const OPEN_STATUSES = ['new', 'accepted', 'pending_new'];
+
+  // test-only control route (no auth) to replace the account's positions
+  app.put('/mock/positions', (req, res) => {
+    const list = Array.isArray(req.body) ? req.body : [];
+    for (const symbol of Object.keys(positions)) delete positions[symbol];
+    for (const p of list) {
+      if (!p?.symbol) continue;
+      const qty = Number(p.qty || 0);
+      const current = Number(p.current_price ?? p.avg_entry_price ?? 0);
+      positions[p.symbol] = {
+        asset_id: crypto.randomUUID(),
+        symbol: p.symbol,
+        side: p.side || (qty < 0 ? 'short' : 'long'),
+        qty: String(qty),
+        avg_entry_price: String(p.avg_entry_price ?? current),
+        current_price: String(current),
+        market_value: String(p.market_value ?? qty * current),
+      };
+    }
+    res.json(Object.values(positions));
+  });
+
+  // any non-empty key pair is accepted
+  app.use((req, res, next) => {
+    if (!req.get('APCA-API-KEY-ID') || !req.get('APCA-API-SECRET-KEY')) return res.status(401).json({ code: 40110000, message: 'request is not authorized' });
+    next();
+  });
+
+  function createOrder(body, replaces = null) {
+    const order = {
+      id: crypto.randomUUID(),
+      client_order_id: crypto.randomUUID(),
+      symbol: body.symbol,
+      qty: body.qty,
+      side: body.side,
+      type: body.type,
+      time_in_force: body.time_in_force,
+      stop_price: body.stop_price ?? null,
+      limit_price: body.limit_price ?? null,
+      status: 'new',
+      replaces,
+      replaced_by: null,
+      submitted_at: new Date().toISOString(),
+    };
+    orders[order.id] = order;
+    return order;
+  }
+
+  app.get('/v2/positions', (req, res) => res.json(Object.values(positions)));
+
+  app.get('/v2/orders', (req, res) => {
+    const status = req.query.status || 'open';
+    const list = Object.values(orders).filter(o => status === 'all' || (status === 'open' ? OPEN_STATUSES.includes(o.status) : !OPEN_STATUSES.includes(o.status)));
+    res.json(list);
+  });
+
+  app.get('/v2/orders/:id', (req, res) => {
+    const order = orders[req.params.id];
+    if (!order) return res.status(404).json({ code: 40410000, message: 'order not found' });
+    res.json(order);
+  });
+
+  app.post('/v2/orders', (req, res) => {
+    const { symbol, qty, side, type } = req.body || {};
+    if (!symbol || !qty || !side || !type) return res.status(422).json({ code: 40010001, message: 'symbol, qty, side and type are required' });
+    if ((type === 'stop' || type === 'stop_limit') && !req.body.stop_price) return res.status(422).json({ code: 40010001, message: 'stop_price is required' });
+    res.json(createOrder(req.body));
+  });
+
+  app.patch('/v2/orders/:id', (req, res) => {
+    const prev = orders[req.params.id];
+    if (!prev) return res.status(404).json({ code: 40410000, message: 'order not found' });
+    if (!OPEN_STATUSES.includes(prev.status)) return res.status(422).json({ code: 42210000, message: `order is ${prev.status}` });
+    const next = createOrder({ ...prev, ...req.body }, prev.id);
+    prev.status = 'replaced';
+    prev.replaced_by = next.id;
+    res.json(next);
+  });
+
+  app.delete('/v2/orders/:id', (req, res) => {
+    const order = orders[req.params.id];
+    if (!order) return res.status(404).json({ code: 40410000, message: 'order not found' });
+    if (!OPEN_STATUSES.includes(order.status)) return res.status(422).json({ code: 42210000, message: `order is ${order.status}` });
+    order.status = 'canceled';
+    res.status(204).end();
+  });
+
+  app.locals.orders = orders;
+  app.locals.positions = positions;
+  return app;
+}
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_ALPACA_PORT || 4010);
+  createMockAlpacaApp().listen(port, () => console.log(`🧪 Mock Alpaca trading API on http://localhost:${port}`));
+}
+
+module.exports = { createMockAlpacaApp };
@@ -0,0 +1,58 @@
+// mockLlmModel.js
+// CommonJS module - deterministic stand-in for the LLM backends (LLM backend name 'mock'), for local runs and test/llmMock.test.js.
+// Reads the task marker and input lines from the prompt and answers with JSON in the schema that task expects.
+
+const EVENT_RULES = [
+  ['bankruptcy', /bankrupt|chapter 11|insolven/i, 0.95],
+  ['fraud', /fraud|accounting irregular|restat/i, 0.9],
+  ['regulatory', /investigation|probe|sec charges|antitrust|fine[ds]?\b/i, 0.7],
+  ['lawsuit', /lawsuit|sued|class action|litigation/i, 0.6],
+  ['recall', /recall/i, 0.6],
+  ['guidance', /guidance|outlook|forecast/i, 0.5],
+  ['earnings', /earnings|quarter|revenue|eps\b|results/i, 0.4],
+  ['layoffs', /layoff|job cuts|restructur/i, 0.5],
+  ['rating', /upgrade|downgrade|price target/i, 0.3],
+  ['m&a', /acquire|acquisition|merger|buyout/i, 0.4],
+];
+const NEGATIVE = /miss|drop|plunge|fall|cut|layoff|bankrupt|fraud|investigation|downgrade|lawsuit|recall|loss|weak|probe/i;
+const POSITIVE = /beat|surge|jump|rise|upgrade|buyback|raise|record|partnership|acquire|strong|growth/i;
+
+function scoreHeadline(text) {
+  const neg = NEGATIVE.test(text);
+  const pos = POSITIVE.test(text);
+  const sentiment = neg && !pos ? -0.6 : pos && !neg ? 0.6 : 0;
+  const rule = EVENT_RULES.find(([, re]) => re.test(text));
+  const event = rule ? rule[0] : 'other';
+  const severity = rule ? (sentiment < 0 ? rule[2] : rule[2] / 3) : 0.1;
+  return { sentiment, severity: Number(severity.toFixed(2)), event };
+}
+
+// "TASK: news-sentiment" with lines "[id] headline"
+function newsSentiment(prompt) {
+  const items = [];
+  for (const line of prompt.split('\n')) {
+    const m = line.match(/^\[(\d+)\]\s+(.*)$/);
+    if (m) items.push({ id: Number(m[1]), ...scoreHeadline(m[2]) });
+  }
+  return { items };
+}
+
+// "TASK: risk-explain" with a "FACTS: {json}" line — echoes the facts back as short sentences
+function riskExplain(prompt) {
+  const facts = JSON.parse((prompt.match(/^FACTS:\s*(.*)$/m) || [])[1] || '{}');
+  return {
+    summary: `${facts.ticker}: ${facts.score}/10 (${facts.confidence}).`,
+    drivers: (facts.drivers || []).map(d => `${d.label}: ${d.direction} (${d.points}).`),
+    changes: (facts.changes || []).map(c => `${c.label}: ${c.from} -> ${c.to}.`),
+    action: facts.actionText || facts.action,
+  };
+}
+
+async function generateJSONFromMock(prompt) {
+  const task = (String(prompt).match(/^TASK:\s*(\S+)/m) || [])[1];
+  if (task === 'news-sentiment') return newsSentiment(prompt);
+  if (task === 'risk-explain') return riskExplain(prompt);
+  throw new Error(`mock model: unknown task ${task}`);
+}
+
+module.exports = { generateJSONFromMock };
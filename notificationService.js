@@ -0,0 +1,324 @@
+// notificationService.js
+// CommonJS module - one place that decides whether and where a user alert goes.
+// createNotificationService({ channels, getSettings }) returns { notify, flushHeld, ... }. Channels are async
+// (userId, notification, settings) => false when the user has nothing to send to (no email, no device), for
+// 'push' | 'email' | 'sse' | 'webhook'; index.js wires them up.
+// Per user: channel switches, per-alert-type channel lists, quiet hours in the user's timezone (push/email/webhook
+// are held back and sent when the quiet hours end, SSE still shows in the app), a dedup window per alert key and an
+// hourly cap on outside channels. Held alerts live in memory only (latest per dedup key, NOTIFY_MAX_HELD per user).
+// Webhook URLs must resolve to public addresses — checked when saved (checkWebhookUrl) and again on every send.
+// The same settings carry the e-mail digest opt-ins (digests.daily / digests.weekly, sent by index.js on cron).
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+
+const CHANNELS = ['push', 'email', 'sse', 'webhook'];
+const EXTERNAL_CHANNELS = ['push', 'email', 'webhook']; // the ones quiet hours and the rate limit apply to
+const ALERT_TYPES = {
+  'stoploss-hit': { severity: 'critical', channels: ['push', 'email', 'sse', 'webhook'] },
+  'stoploss-updated': { severity: 'info', channels: ['push', 'email', 'sse', 'webhook'] },
+  'price-drop': { severity: 'warning', channels: ['push', 'sse', 'webhook'] },
+  'news-event': { severity: 'warning', channels: ['push', 'email', 'sse', 'webhook'] },
+};
+
+const DEFAULT_SETTINGS = {
+  channels: { push: true, email: true, sse: true, webhook: false },
+  alerts: Object.fromEntries(Object.entries(ALERT_TYPES).map(([type, def]) => [type, { enabled: true, channels: def.channels }])),
+  quietHours: { enabled: false, start: '22:00', end: '07:00', timezone: 'Asia/Jerusalem', allowCritical: true },
+  webhookUrl: null,
+  digests: { daily: false, weekly: true },
+};
+
+// loopback, private, link-local, CGNAT, multicast/reserved and IPv4-mapped addresses are never webhook targets
+// (one list per family: a BlockList also matches IPv4 addresses against IPv6 subnets such as ::ffff:0:0/96)
+const BLOCKED_V4 = new net.BlockList();
+const BLOCKED_V6 = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]].forEach(([a, p]) => BLOCKED_V4.addSubnet(a, p, 'ipv4'));
+[['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]].forEach(([a, p]) => BLOCKED_V6.addSubnet(a, p, 'ipv6'));
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return !BLOCKED_V4.check(address, 'ipv4');
+  return family === 6 && !BLOCKED_V6.check(address, 'ipv6');
+}
+
+// dns.lookup that refuses non-public answers, so a hostname can't be re-pointed inside between check and connect
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const list = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = list.find(a => !isPublicAddress(a.address));
+    if (blocked) return callback(Object.assign(new Error(`webhook host ${hostname} resolves to a non-public address (${blocked.address})`), { code: 'EBLOCKED' }));
+    callback(null, address, family);
+  });
+}
+
+// -> null when url is an http(s) URL whose host resolves only to public addresses, else the reason
+async function checkWebhookUrl(url) {
+  let parsed;
+  try { parsed = new URL(String(url)); } catch (e) { return 'webhookUrl must be an http(s) URL or null'; }
+  if (!['http:', 'https:'].includes(parsed.protocol) || !parsed.hostname) return 'webhookUrl must be an http(s) URL or null';
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(host)) addresses = [host];
+  else {
+    try { addresses = (await dns.promises.lookup(host, { all: true })).map(a => a.address); } catch (e) { return `webhookUrl host ${host} does not resolve`; }
+  }
+  const blocked = addresses.find(a => !isPublicAddress(a));
+  return blocked ? `webhookUrl must point to a public address (${host}${host === blocked ? '' : ` resolves to ${blocked}`})` : null;
+}
+
+const HHMM = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+const isHHMM = (v) => typeof v === 'string' && HHMM.test(v);
+
+function isValidTimezone(tz) {
+  try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); return true; } catch (e) { return false; }
+}
+
+// stored (partial) settings merged over the defaults
+function resolveSettings(stored) {
+  const s = stored || {};
+  const alerts = {};
+  for (const type of Object.keys(ALERT_TYPES)) alerts[type] = { ...DEFAULT_SETTINGS.alerts[type], ...(s.alerts?.[type] || {}) };
+  return {
+    channels: { ...DEFAULT_SETTINGS.channels, ...(s.channels || {}) },
+    alerts,
+    quietHours: { ...DEFAULT_SETTINGS.quietHours, ...(s.quietHours || {}) },
+    webhookUrl: s.webhookUrl ?? DEFAULT_SETTINGS.webhookUrl,
+    digests: { ...DEFAULT_SETTINGS.digests, ...(s.digests || {}) },
+  };
+}
+
+// validates a PUT body and merges it into the stored settings -> { ok, settings } | { ok: false, error }
+function mergeSettings(stored, patch) {
+  if (!isPlainObject(patch)) return { ok: false, error: 'settings object required' };
+  // every section is an object when present; a string or list would be spread into the stored settings key by key
+  for (const section of ['channels', 'alerts', 'quietHours', 'digests']) {
+    if (patch[section] !== undefined && !isPlainObject(patch[section])) return { ok: false, error: `${section} must be an object` };
+  }
+  const next = JSON.parse(JSON.stringify(stored || {}));
+
+  if (patch.channels !== undefined) {
+    for (const [ch, on] of Object.entries(patch.channels)) {
+      if (!CHANNELS.includes(ch)) return { ok: false, error: `unknown channel: ${ch}` };
+      if (typeof on !== 'boolean') return { ok: false, error: `channels.${ch} must be true or false` };
+    }
+    next.channels = { ...next.channels, ...patch.channels };
+  }
+
+  if (patch.alerts !== undefined) {
+    for (const [type, pref] of Object.entries(patch.alerts)) {
+      if (!ALERT_TYPES[type]) return { ok: false, error: `unknown alert type: ${type}` };
+      if (!isPlainObject(pref)) return { ok: false, error: `alerts.${type} must be an object` };
+      const unknown = Object.keys(pref).find(k => !['enabled', 'channels'].includes(k));
+      if (unknown) return { ok: false, error: `unknown field: alerts.${type}.${unknown}` };
+      if (pref.enabled !== undefined && typeof pref.enabled !== 'boolean') return { ok: false, error: `alerts.${type}.enabled must be true or false` };
+      if (pref.channels !== undefined && (!Array.isArray(pref.channels) || !pref.channels.every(ch => CHANNELS.includes(ch)))) {
+        return { ok: false, error: `alerts.${type}.channels must be a list of ${CHANNELS.join(', ')}` };
+      }
+      next.alerts = next.alerts || {};
+      next.alerts[type] = { ...(next.alerts[type] || {}), ...pref };
+    }
+  }
+
+  if (patch.quietHours !== undefined) {
+    const q = patch.quietHours;
+    const unknown = Object.keys(q).find(k => !(k in DEFAULT_SETTINGS.quietHours));
+    if (unknown) return { ok: false, error: `unknown field: quietHours.${unknown}` };
+    if (q.enabled !== undefined && typeof q.enabled !== 'boolean') return { ok: false, error: 'quietHours.enabled must be true or false' };
+    if (q.start !== undefined && !isHHMM(q.start)) return { ok: false, error: 'quietHours.start must be HH:MM' };
+    if (q.end !== undefined && !isHHMM(q.end)) return { ok: false, error: 'quietHours.end must be HH:MM' };
+    if (q.timezone !== undefined && (typeof q.timezone !== 'string' || !isValidTimezone(q.timezone))) return { ok: false, error: `unknown timezone: ${q.timezone}` };
+    if (q.allowCritical !== undefined && typeof q.allowCritical !== 'boolean') return { ok: false, error: 'quietHours.allowCritical must be true or false' };
+    next.quietHours = { ...next.quietHours, ...q };
+  }
+
+  // format only; callers also await checkWebhookUrl() before saving (it needs DNS)
+  if (patch.webhookUrl !== undefined) {
+    if (patch.webhookUrl !== null && !/^https?:\/\/\S+$/i.test(String(patch.webhookUrl))) return { ok: false, error: 'webhookUrl must be an http(s) URL or null' };
+    next.webhookUrl = patch.webhookUrl;
+  }
+
+  if (patch.digests !== undefined) {
+    for (const [period, on] of Object.entries(patch.digests)) {
+      if (!Object.keys(DEFAULT_SETTINGS.digests).includes(period)) return { ok: false, error: `unknown digest: ${period}` };
+      if (typeof on !== 'boolean') return { ok: false, error: `digests.${period} must be true or false` };
+    }
+    next.digests = { ...next.digests, ...patch.digests };
+  }
+
+  return { ok: true, settings: next };
+}
+
+// minutes since local midnight in `timezone`
+function localMinutes(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(date);
+  const get = (t) => Number(parts.find(p => p.type === t)?.value || 0);
+  return get('hour') * 60 + get('minute');
+}
+
+// start/end 'HH:MM'; a window like 22:00-07:00 wraps past midnight
+function inQuietHours(quietHours, date = new Date()) {
+  if (!quietHours?.enabled) return false;
+  const toMin = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+  const start = toMin(quietHours.start);
+  const end = toMin(quietHours.end);
+  if (start === end) return false;
+  const now = localMinutes(date, quietHours.timezone);
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+// outbound webhook channel: POSTs the notification as JSON, signed with NOTIFY_WEBHOOK_SECRET when set.
+// The URL is re-checked on every send (settings may predate the check, DNS may have changed), the connection only
+// goes to public addresses and redirects are not followed.
+function createWebhookChannel({ secret = process.env.NOTIFY_WEBHOOK_SECRET || '', timeoutMs = 5000 } = {}) {
+  const httpAgent = new http.Agent({ lookup: publicLookup });
+  const httpsAgent = new https.Agent({ lookup: publicLookup });
+  return async (userId, notification, settings) => {
+    if (!settings.webhookUrl) return false;
+    const problem = await checkWebhookUrl(settings.webhookUrl);
+    if (problem) throw new Error(problem);
+    const body = JSON.stringify({ userId, ...notification });
+    const headers = { 'Content-Type': 'application/json' };
+    if (secret) headers['X-RiskWise-Signature'] = 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+    await axios.post(settings.webhookUrl, body, { headers, timeout: timeoutMs, maxRedirects: 0, httpAgent, httpsAgent, proxy: false });
+  };
+}
+
+function createNotificationService({
+  channels = {},
+  getSettings = () => null,
+  dedupWindowMs = Number(process.env.NOTIFY_DEDUP_MS || 10 * 60 * 1000),
+  maxPerHour = Number(process.env.NOTIFY_MAX_PER_HOUR || 30),
+  maxHeld = Number(process.env.NOTIFY_MAX_HELD || 50), // quiet-hours alerts kept per user; the oldest are dropped
+  flushIntervalMs = 60 * 1000,                           // how often held alerts are checked against quiet hours
+  onFlush = () => {},                                    // (userId, notification, result) after a held alert is sent
+  now = () => Date.now(),
+  logger = console,
+} = {}) {
+  const lastSent = new Map(); // `${userId}|${dedupKey}` -> ms
+  const sentLog = new Map();  // userId -> [ms of external deliveries within the last hour]
+  const held = new Map();     // userId -> [{ dedupKey, payload, channels }] waiting for quiet hours to end
+
+  function isDuplicate(userId, dedupKey, t) {
+    const prev = lastSent.get(`${userId}|${dedupKey}`);
+    return !!prev && t - prev < dedupWindowMs;
+  }
+
+  function markSent(userId, dedupKey, t) {
+    lastSent.set(`${userId}|${dedupKey}`, t);
+    if (lastSent.size > 10000) { for (const [k, at] of lastSent) if (t - at >= dedupWindowMs) lastSent.delete(k); }
+  }
+
+  function isRateLimited(userId, t) {
+    const log = (sentLog.get(userId) || []).filter(at => t - at < 60 * 60 * 1000);
+    sentLog.set(userId, log);
+    return log.length >= maxPerHour;
+  }
+
+  // the latest alert per dedup key wins; held channels of an earlier copy are kept
+  function hold(userId, dedupKey, payload, channelList) {
+    const list = held.get(userId) || [];
+    const prev = list.findIndex(h => h.dedupKey === dedupKey);
+    const channelSet = new Set(channelList);
+    if (prev !== -1) list.splice(prev, 1)[0].channels.forEach(ch => channelSet.add(ch));
+    list.push({ dedupKey, payload, channels: [...channelSet] });
+    if (list.length > maxHeld) list.splice(0, list.length - maxHeld);
+    held.set(userId, list);
+  }
+
+  // one channel; records the outcome in result
+  async function deliver(userId, channel, payload, settings, result, t) {
+    if (EXTERNAL_CHANNELS.includes(channel) && isRateLimited(userId, t)) { result.skipped[channel] = 'rate-limited'; return; }
+    try {
+      if (await channels[channel](userId, payload, settings) === false) { result.skipped[channel] = 'not-configured'; return; }
+      result.delivered.push(channel);
+      if (EXTERNAL_CHANNELS.includes(channel)) sentLog.get(userId).push(t);
+    } catch (e) {
+      result.skipped[channel] = `error: ${e.message}`;
+      logger.error(`❌ ${channel} notification failed for ${userId} (${payload.type}): ${e.message}`);
+    }
+  }
+
+  // notification: { type (ALERT_TYPES key), symbol, title, body, html?, icon?, data?, dedupKey? }
+  // -> { delivered: [channel], skipped: { channel: reason } }; channel errors are logged, never thrown.
+  // Channels held for quiet hours are reported as skipped with reason 'held'.
+  async function notify(userId, notification) {
+    const result = { delivered: [], skipped: {} };
+    const def = ALERT_TYPES[notification.type];
+    if (!def) { logger.warn(`⚠️ unknown alert type ${notification.type}`); return result; }
+
+    const settings = resolveSettings(getSettings(userId));
+    const pref = settings.alerts[notification.type];
+    const severity = notification.severity || def.severity;
+    const t = now();
+    const payload = { ...notification, severity, at: new Date(t).toISOString() };
+
+    if (!pref.enabled) { result.skipped.all = 'disabled'; return result; }
+    const dedupKey = notification.dedupKey || `${notification.type}:${notification.symbol || ''}`;
+    if (isDuplicate(userId, dedupKey, t)) { result.skipped.all = 'duplicate'; return result; }
+
+    const quiet = inQuietHours(settings.quietHours, new Date(t)) && !(severity === 'critical' && settings.quietHours.allowCritical);
+    const deferred = [];
+    for (const channel of CHANNELS) {
+      if (!pref.channels.includes(channel) || !settings.channels[channel]) continue;
+      if (!channels[channel]) { result.skipped[channel] = 'unavailable'; continue; }
+      if (quiet && EXTERNAL_CHANNELS.includes(channel)) { deferred.push(channel); result.skipped[channel] = 'held'; continue; }
+      await deliver(userId, channel, payload, settings, result, t);
+    }
+    if (deferred.length) hold(userId, dedupKey, payload, deferred);
+    // a failed attempt must not suppress the next one
+    if (result.delivered.length) markSent(userId, dedupKey, t);
+    return result;
+  }
+
+  // sends held alerts of users whose quiet hours are over, on the channels their settings still allow
+  async function flushHeld() {
+    const t = now();
+    let sent = 0;
+    for (const [userId, list] of held) {
+      const settings = resolveSettings(getSettings(userId));
+      if (inQuietHours(settings.quietHours, new Date(t))) continue;
+      held.delete(userId);
+      for (const { dedupKey, payload, channels: channelList } of list) {
+        const pref = settings.alerts[payload.type];
+        const result = { delivered: [], skipped: {} };
+        if (!pref?.enabled) continue;
+        for (const channel of channelList) {
+          if (!pref.channels.includes(channel) || !settings.channels[channel] || !channels[channel]) continue;
+          await deliver(userId, channel, { ...payload, heldUntil: new Date(t).toISOString() }, settings, result, t);
+        }
+        if (result.delivered.length) { markSent(userId, dedupKey, t); sent++; }
+        onFlush(userId, payload, result);
+      }
+    }
+    return sent;
+  }
+
+  const flushTimer = flushIntervalMs > 0 ? setInterval(() => flushHeld().catch(e => logger.error('held notification flush failed', e.message)), flushIntervalMs) : null;
+  flushTimer?.unref?.();
+
+  return {
+    notify,
+    flushHeld,
+    heldCount: (userId) => (userId ? held.get(userId)?.length || 0 : [...held.values()].reduce((n, l) => n + l.length, 0)),
+    close: () => { if (flushTimer) clearInterval(flushTimer); },
+  };
+}
+
+module.exports = {
+  CHANNELS,
+  ALERT_TYPES,
+  createNotificationService,
+  createWebhookChannel,
+  checkWebhookUrl,
+  resolveSettings,
+  mergeSettings,
+  inQuietHours,
+};
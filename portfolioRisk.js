@@ -0,0 +1,161 @@
+// portfolioRisk.js
+// CommonJS module - portfolio Value-at-Risk and Expected Shortfall (CVaR) from daily closes.
+// Historical: empirical quantile of the portfolio's daily returns (10-day uses overlapping compounded windows).
+// Parametric: normal (variance-covariance) approximation, scaled by sqrt(horizon).
+// All figures are reported as positive losses, both as a fraction of portfolio value (varPct) and in dollars (var).
+// Also: per-position contributions to portfolio volatility from the return covariance matrix (risk budgeting).
+
+const CONFIDENCES = [0.95, 0.99];
+const HORIZONS = [1, 10];
+const Z_SCORES = { 0.95: 1.6448536269514722, 0.99: 2.3263478740408408 };
+const MIN_OBSERVATIONS = 30;
+
+function mean(vals) {
+  return vals.reduce((a, b) => a + b, 0) / vals.length;
+}
+
+function stdDev(vals) {
+  if (vals.length < 2) return 0;
+  const m = mean(vals);
+  return Math.sqrt(vals.reduce((a, b) => a + Math.pow(b - m, 2), 0) / (vals.length - 1));
+}
+
+function normalPdf(z) {
+  return Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
+}
+
+// Weighted daily portfolio returns over the dates every position has data for.
+// returnsBySymbol: { SYMBOL: [{ date, ret }] }, weights: { SYMBOL: fraction of portfolio value }
+function portfolioReturnSeries(returnsBySymbol, weights) {
+  const symbols = Object.keys(weights).filter(s => returnsBySymbol[s]?.length);
+  if (symbols.length === 0) return [];
+  const maps = symbols.map(s => new Map(returnsBySymbol[s].map(r => [r.date, r.ret])));
+  const dates = returnsBySymbol[symbols[0]].map(r => r.date).filter(d => maps.every(m => m.has(d)));
+  return dates.map(d => symbols.reduce((sum, s, i) => sum + weights[s] * maps[i].get(d), 0));
+}
+
+// overlapping `horizon`-day compounded returns
+function compoundWindows(returns, horizon) {
+  if (horizon <= 1) return returns.slice();
+  const out = [];
+  for (let i = 0; i + horizon <= returns.length; i++) {
+    out.push(returns.slice(i, i + horizon).reduce((acc, r) => acc * (1 + r), 1) - 1);
+  }
+  return out;
+}
+
+function historicalVaR(returns, confidence) {
+  const sorted = returns.slice().sort((a, b) => a - b);
+  const k = Math.max(1, Math.floor(sorted.length * (1 - confidence)));
+  const tail = sorted.slice(0, k);
+  return { varPct: Math.max(0, -sorted[k - 1]), cvarPct: Math.max(0, -mean(tail)) };
+}
+
+function parametricVaR(returns, confidence, horizon) {
+  const z = Z_SCORES[confidence];
+  const mu = mean(returns) * horizon;
+  const sigma = stdDev(returns) * Math.sqrt(horizon);
+  return {
+    varPct: Math.max(0, z * sigma - mu),
+    cvarPct: Math.max(0, sigma * normalPdf(z) / (1 - confidence) - mu),
+  };
+}
+
+function withDollars(res, portfolioValue) {
+  const round = (v, d) => Number(v.toFixed(d));
+  return {
+    varPct: round(res.varPct, 6),
+    cvarPct: round(res.cvarPct, 6),
+    var: round(res.varPct * portfolioValue, 2),
+    cvar: round(res.cvarPct * portfolioValue, 2),
+  };
+}
+
+// positionValues: { SYMBOL: dollar value }, returnsBySymbol: { SYMBOL: [{ date, ret }] }
+// Returns null when there is not enough overlapping history.
+function computeVaR(positionValues, returnsBySymbol) {
+  const covered = Object.keys(positionValues).filter(s => positionValues[s] > 0 && returnsBySymbol[s]?.length);
+  const missing = Object.keys(positionValues).filter(s => !covered.includes(s));
+  const portfolioValue = covered.reduce((sum, s) => sum + positionValues[s], 0);
+  if (portfolioValue <= 0) return null;
+
+  const weights = {};
+  for (const s of covered) weights[s] = positionValues[s] / portfolioValue;
+  const daily = portfolioReturnSeries(returnsBySymbol, weights);
+  if (daily.length < MIN_OBSERVATIONS) return null;
+
+  const measures = {};
+  for (const horizon of HORIZONS) {
+    const windowed = compoundWindows(daily, horizon);
+    measures[`${horizon}d`] = {};
+    for (const confidence of CONFIDENCES) {
+      measures[`${horizon}d`][String(confidence * 100)] = {
+        historical: withDollars(historicalVaR(windowed, confidence), portfolioValue),
+        parametric: withDollars(parametricVaR(daily, confidence, horizon), portfolioValue),
+      };
+    }
+  }
+
+  return {
+    portfolioValue: Number(portfolioValue.toFixed(2)),
+    observations: daily.length,
+    weights,
+    missing,
+    measures,
+    computedAt: new Date().toISOString(),
+  };
+}
+
+// ---------- volatility contributions ----------
+// Sample covariance matrix of aligned daily returns. Rows/cols follow `symbols`.
+function covarianceMatrix(symbols, returnsBySymbol) {
+  const maps = symbols.map(s => new Map(returnsBySymbol[s].map(r => [r.date, r.ret])));
+  const dates = returnsBySymbol[symbols[0]].map(r => r.date).filter(d => maps.every(m => m.has(d)));
+  const series = maps.map(m => dates.map(d => m.get(d)));
+  const means = series.map(mean);
+  const n = dates.length;
+  const cov = symbols.map(() => symbols.map(() => 0));
+  for (let i = 0; i < symbols.length; i++) {
+    for (let j = i; j < symbols.length; j++) {
+      let acc = 0;
+      for (let t = 0; t < n; t++) acc += (series[i][t] - means[i]) * (series[j][t] - means[j]);
+      cov[i][j] = cov[j][i] = n > 1 ? acc / (n - 1) : 0;
+    }
+  }
+  return { cov, observations: n };
+}
+
+// Percent contribution of each position to portfolio variance: RC_i = w_i * (Σw)_i / (wᵀΣw), summing to 1.
+// Two highly correlated names each carry the other's risk in (Σw)_i, so together they weigh more than
+// their stand-alone volatility suggests. Returns null when there is not enough overlapping history.
+function riskContributions(positionValues, returnsBySymbol) {
+  const symbols = Object.keys(positionValues).filter(s => positionValues[s] > 0 && returnsBySymbol[s]?.length);
+  const total = symbols.reduce((sum, s) => sum + positionValues[s], 0);
+  if (symbols.length === 0 || total <= 0) return null;
+
+  const { cov, observations } = covarianceMatrix(symbols, returnsBySymbol);
+  if (observations < MIN_OBSERVATIONS) return null;
+
+  const w = symbols.map(s => positionValues[s] / total);
+  const sigmaW = cov.map(row => row.reduce((acc, c, j) => acc + c * w[j], 0));
+  const variance = w.reduce((acc, wi, i) => acc + wi * sigmaW[i], 0);
+  if (!(variance > 0)) return null;
+  const dailyVol = Math.sqrt(variance);
+
+  const contributions = {};
+  const marginal = {};
+  symbols.forEach((s, i) => {
+    marginal[s] = sigmaW[i] / dailyVol; // ∂σ_p / ∂w_i
+    contributions[s] = (w[i] * sigmaW[i]) / variance;
+  });
+
+  return {
+    contributions,
+    marginal,
+    annualizedVolatility: dailyVol * Math.sqrt(252),
+    observations,
+    missing: Object.keys(positionValues).filter(s => !symbols.includes(s)),
+  };
+}
+
+module.exports = { computeVaR, portfolioReturnSeries, riskContributions };
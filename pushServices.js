@@ -1,37 +1,94 @@
 // pushServices.js
+// CommonJS module - Web Push delivery to every device a user subscribed from.
+// Subscriptions are stored by index.js (userPushSubs: userId -> [subscription]); this module only sends.
+// VAPID keys come from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (generate with `npx web-push generate-vapid-keys`);
+// push is disabled instead of failing at startup when either is missing or they are not one key pair.
+const crypto = require('crypto');
 const webPush = require('web-push');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+const log = require('./logger').child({ subsystem: 'notify' });
 
 const vapidKeys = {
-  publicKey: 'BLQ_Lig1S07gbWxbvMzNIvr7kgt8s0AT7gnL91wdCt5hl_GjOIvjO--9GCJL7j0L1vI-BtHVVL1HG8Nubr1mrnA',
-  privateKey: process.env.VAPID_PRIVATE_KEY
+  publicKey: process.env.VAPID_PUBLIC_KEY || null,
+  privateKey: process.env.VAPID_PRIVATE_KEY || null
 };
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:your-email@example.com';
+const PUSH_TTL_SEC = Number(process.env.PUSH_TTL_SEC || 24 * 60 * 60); // how long the push service keeps an undelivered message
 
-webPush.setVapidDetails(
-  'mailto:your-email@example.com',
-  vapidKeys.publicKey,
-  vapidKeys.privateKey
-);
+// the public key derived from the private one (P-256, base64url) must be the configured public key
+function isKeyPair(publicKey, privateKey) {
+  try {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.setPrivateKey(Buffer.from(privateKey, 'base64url'));
+    return ecdh.getPublicKey().equals(Buffer.from(publicKey, 'base64url'));
+  } catch (e) {
+    return false;
+  }
+}
 
-// זיכרון זמני – רצוי להחליף למסד נתונים
-const subscriptions = {};
+let configured = false;
+if (!vapidKeys.publicKey || !vapidKeys.privateKey) {
+  log.warn(t(DEFAULT_LOCALE, 'logs.pushDisabled'));
+} else if (!isKeyPair(vapidKeys.publicKey, vapidKeys.privateKey)) {
+  log.error(t(DEFAULT_LOCALE, 'logs.pushKeyMismatch'));
+} else {
+  webPush.setVapidDetails(VAPID_SUBJECT, vapidKeys.publicKey, vapidKeys.privateKey);
+  configured = true;
+}
 
-function registerSubscription(userId, subscription) {
-  subscriptions[userId] = subscription;
+function isConfigured() {
+  return configured;
 }
 
-async function sendPushNotification(userId, message) {
-  const subscription = subscriptions[userId];
-  if (!subscription) return;
+function getVapidPublicKey() {
+  return vapidKeys.publicKey;
+}
 
-  try {
-    await webPush.sendNotification(subscription, JSON.stringify({ title: 'התראה', body: message }));
-    console.log(`📲 נשלחה התראה למשתמש ${userId}: ${message}`);
-  } catch (err) {
-    console.error(`❌ שגיאה בשליחת התראה למשתמש ${userId}:`, err.message);
-  }
+// browser PushSubscription JSON: { endpoint, expirationTime, keys: { p256dh, auth } }
+function isValidSubscription(sub) {
+  return !!sub && typeof sub.endpoint === 'string' && /^https:\/\//.test(sub.endpoint)
+    && typeof sub.keys?.p256dh === 'string' && typeof sub.keys?.auth === 'string';
+}
+
+// stable short id for a device, so clients can list/remove subscriptions without handling endpoints
+function subscriptionId(sub) {
+  return crypto.createHash('sha1').update(String(sub.endpoint)).digest('hex').slice(0, 12);
+}
+
+// { title, body, icon, url, tag, data } -> the JSON the service worker reads in its 'push' handler
+function buildPayload({ title = t(DEFAULT_LOCALE, 'notify.defaultTitle'), body = '', icon = '/icons/icon-192.png', url = '/', tag = undefined, data = {} } = {}) {
+  return { title, body, icon, tag, data: { ...data, url }, timestamp: Date.now() };
+}
+
+// Sends to every subscription. Endpoints the push service reports as gone (404/410) come back in `expired`
+// so the caller can prune them; other failures are counted and logged.
+async function sendPushNotification(subscriptions, message) {
+  const result = { sent: 0, failed: 0, expired: [] };
+  if (!configured) return result;
+  const list = Array.isArray(subscriptions) ? subscriptions : (subscriptions ? [subscriptions] : []);
+  const payload = JSON.stringify(buildPayload(message));
+
+  await Promise.all(list.map(async (sub) => {
+    try {
+      await webPush.sendNotification(sub, payload, { TTL: PUSH_TTL_SEC });
+      result.sent++;
+    } catch (err) {
+      if (err.statusCode === 404 || err.statusCode === 410) {
+        result.expired.push(sub.endpoint);
+      } else {
+        result.failed++;
+        log.error(t(DEFAULT_LOCALE, 'logs.pushFailed', { subscription: subscriptionId(sub) }), err.statusCode || '', err.message);
+      }
+    }
+  }));
+  return result;
 }
 
 module.exports = {
-  registerSubscription,
+  isConfigured,
+  getVapidPublicKey,
+  isValidSubscription,
+  subscriptionId,
+  buildPayload,
   sendPushNotification
 };
@@ -1,19 +1,21 @@
 // riskAnalyzer.js
-// CommonJS module - analyzeStockRisk(symbol, currentPrice)
-// Uses Finnhub as data source (requires FINNHUB_API_KEY in env)
+// CommonJS module - analyzeStockRisk(symbol, currentPrice, { weights })
+// Uses Finnhub as data source through finnhubClient.js, which owns the key and the shared rate limit
+// Raw factor scores are cached per symbol; the composite is computed per call from a weight profile.
 
-const axios = require('axios');
 const NodeCache = require('node-cache');
 const regression = require('regression');
 const dayjs = require('dayjs');
+const { sectorForIndustry, sectorEtf } = require('./sectors');
+const { sectorMultiplier } = require('./riskCalculator');
+const { scoreNewsSentiment } = require('./sentimentEngine');
+const finnhub = require('./finnhubClient');
 
 const cache = new NodeCache({ stdTTL: 60 * 10 }); // 10 minutes cache
-const FINNHUB_API = 'https://finnhub.io/api/v1';
-const FINNHUB_KEY = process.env.FINNHUB_API_KEY || '';
 
 const WINDOWS = { short: 7, medium: 30, long: 90 };
 
-// Weights for the composite score (can be tuned)
+// Weights for the composite score (can be tuned) — the 'balanced' profile
 const WEIGHTS = {
   beta: 0.10,
   volatility: 0.10,
@@ -31,6 +33,24 @@ const WEIGHTS = {
   sentiment: 0.04
 };
 
+// Named profiles keep the same total (0.80) so scores stay on a comparable 1..10 scale.
+// conservative: leverage, drawdown and cash flow matter most; aggressive: momentum, sentiment and events.
+const WEIGHT_PROFILES = {
+  conservative: {
+    beta: 0.08, volatility: 0.12, sharpe: 0.05, drawdown: 0.08, volumeVol: 0.03,
+    debtToEquity: 0.08, interestCoverage: 0.07, fcfStability: 0.07, earningsVariability: 0.05,
+    relativeStrength: 0.02, eventRisk: 0.08, vix: 0.03, sectorVolatility: 0.02, sentiment: 0.02
+  },
+  balanced: WEIGHTS,
+  aggressive: {
+    beta: 0.12, volatility: 0.08, sharpe: 0.06, drawdown: 0.03, volumeVol: 0.07,
+    debtToEquity: 0.02, interestCoverage: 0.02, fcfStability: 0.02, earningsVariability: 0.06,
+    relativeStrength: 0.10, eventRisk: 0.10, vix: 0.04, sectorVolatility: 0.02, sentiment: 0.06
+  }
+};
+const DEFAULT_PROFILE = 'balanced';
+const PROFILE_WEIGHT_TOTAL = Object.values(WEIGHTS).reduce((a, b) => a + b, 0); // 0.80, shared by every named profile
+
 // ---------- Helpers ----------
 function normalize(value, min = 0, max = 1) {
   if (value === null || value === undefined || Number.isNaN(value)) return 0.5;
@@ -58,6 +78,28 @@ function annualizedVolatilityFromReturns(returns) {
   return dailyStd * Math.sqrt(252);
 }
 
+// short/medium/long annualized volatility of a candle series + 90d drawdown (null when too little data)
+function volatilityProfile(hist) {
+  if (!hist || !hist.closes || hist.closes.length <= 10) return null;
+  const slice = (n) => ({ closes: hist.closes.slice(-(n + 1)), times: hist.times.slice(-(n + 1)) });
+  const vol = (n) => { const s = slice(n); return annualizedVolatilityFromReturns(computeReturnsFromCloses(s.closes, s.times)); };
+  const short = vol(WINDOWS.short);
+  const med = vol(WINDOWS.medium);
+  const long = vol(WINDOWS.long);
+  return { short, med, long, composite: (short + med + long) / 3, drawdown90: maxDrawdownFromCloses(slice(WINDOWS.long).closes) };
+}
+
+// std-dev of daily log volume changes over the long window (volume "volatility"); null when too little data
+function volumeVolatility(volumes) {
+  const v = (volumes || []).slice(-(WINDOWS.long + 1)).filter(x => typeof x === 'number' && x > 0);
+  if (v.length < 20) return null;
+  const changes = [];
+  for (let i = 1; i < v.length; i++) changes.push(Math.log(v[i] / v[i - 1]));
+  const mean = changes.reduce((a, b) => a + b, 0) / changes.length;
+  const variance = changes.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / (changes.length - 1);
+  return Math.sqrt(variance);
+}
+
 function maxDrawdownFromCloses(closes) {
   if (!closes || closes.length === 0) return 0;
   let peak = -Infinity;
@@ -86,35 +128,33 @@ function sentimentScoreFromNewsItems(newsItems) {
 }
 
 // ---------- Finnhub fetchers (with cache) ----------
-async function finnhubGet(path, params = {}) {
-  if (!FINNHUB_KEY) throw new Error('FINNHUB_API_KEY not set');
-  const url = `${FINNHUB_API}/${path}`;
-  const resp = await axios.get(url, { params: { ...params, token: FINNHUB_KEY }, timeout: 10000 });
-  return resp.data;
+// requests go through the shared rate-limited client; priority is the finnhubClient lane ('user' | 'background')
+function finnhubGet(path, params = {}, priority = 'user') {
+  return finnhub.get(path, params, { priority });
 }
 
-async function fetchHistoricalPrices(ticker, days = 365) {
+async function fetchHistoricalPrices(ticker, days = 365, priority = 'user') {
   const key = `hist:${ticker}:${days}`;
   const c = cache.get(key);
   if (c) return c;
   const to = dayjs();
   const from = to.subtract(days, 'day');
   const params = { symbol: ticker, resolution: 'D', from: Math.floor(from.unix()), to: Math.floor(to.unix()) };
-  const data = await finnhubGet('stock/candle', params);
+  const data = await finnhubGet('stock/candle', params, priority);
   if (!data || data.s !== 'ok') throw new Error(`No historical data for ${ticker}`);
-  const res = { closes: data.c, times: data.t };
+  const res = { closes: data.c, times: data.t, volumes: data.v || [] };
   cache.set(key, res, 60 * 5);
   return res;
 }
 
-async function fetchFundamentals(ticker) {
+async function fetchFundamentals(ticker, priority = 'user') {
   const key = `fund:${ticker}`;
   const c = cache.get(key);
   if (c) return c;
   try {
-    const profile = await finnhubGet('stock/profile2', { symbol: ticker });
-    const metrics = await finnhubGet('stock/metric', { symbol: ticker, metric: 'all' }).catch(() => ({}));
-    const financials = await finnhubGet('stock/financials-reported', { symbol: ticker, frequency: 'annual' }).catch(() => ({}));
+    const profile = await finnhubGet('stock/profile2', { symbol: ticker }, priority);
+    const metrics = await finnhubGet('stock/metric', { symbol: ticker, metric: 'all' }, priority).catch(() => ({}));
+    const financials = await finnhubGet('stock/financials-reported', { symbol: ticker, frequency: 'annual' }, priority).catch(() => ({}));
     const payload = { profile, metrics, financials };
     cache.set(key, payload, 60 * 60);
     return payload;
@@ -123,12 +163,12 @@ async function fetchFundamentals(ticker) {
   }
 }
 
-async function fetchEarnings(ticker) {
+async function fetchEarnings(ticker, priority = 'user') {
   const key = `earnings:${ticker}`;
   const c = cache.get(key);
   if (c) return c;
   try {
-    const data = await finnhubGet('stock/earnings', { symbol: ticker }).catch(() => []);
+    const data = await finnhubGet('stock/earnings', { symbol: ticker }, priority).catch(() => []);
     cache.set(key, data, 60 * 30);
     return data;
   } catch (e) {
@@ -136,7 +176,7 @@ async function fetchEarnings(ticker) {
   }
 }
 
-async function fetchNews(ticker, fromDays = 7) {
+async function fetchNews(ticker, fromDays = 7, priority = 'user') {
   const key = `news:${ticker}:${fromDays}`;
   const c = cache.get(key);
   if (c) return c;
@@ -144,7 +184,7 @@ async function fetchNews(ticker, fromDays = 7) {
     const from = dayjs().subtract(fromDays, 'day').format('YYYY-MM-DD');
     const to = dayjs().format('YYYY-MM-DD');
     // try company-news first
-    const data = await finnhubGet('company-news', { symbol: ticker, from, to }).catch(() => []);
+    const data = await finnhubGet('company-news', { symbol: ticker, from, to }, priority).catch(() => []);
     cache.set(key, data, 60 * 10);
     return data;
   } catch (e) {
@@ -152,7 +192,8 @@ async function fetchNews(ticker, fromDays = 7) {
   }
 }
 
-async function fetchVIX() {
+// returns { value, fallback } — fallback=true when the default 20 was used
+async function fetchVIX(priority = 'user') {
   const key = 'vix';
   const c = cache.get(key);
   if (c) return c;
@@ -160,200 +201,334 @@ async function fetchVIX() {
     const to = dayjs();
     const from = to.subtract(30, 'day');
     const params = { symbol: '^VIX', resolution: 'D', from: Math.floor(from.unix()), to: Math.floor(to.unix()) };
-    const data = await finnhubGet('stock/candle', params).catch(() => null);
+    const data = await finnhubGet('stock/candle', params, priority).catch(() => null);
     if (data && data.s === 'ok' && data.c && data.c.length) {
-      const last = data.c[data.c.length - 1];
+      const last = { value: data.c[data.c.length - 1], fallback: false };
       cache.set(key, last, 60 * 30);
       return last;
     }
   } catch (e) { /**/ }
-  cache.set(key, 20, 60 * 30);
-  return 20;
+  const fallback = { value: 20, fallback: true };
+  cache.set(key, fallback, 60 * 30);
+  return fallback;
+}
+
+// ---------- Weight profiles ----------
+// Custom weights are merged over the balanced profile, so clients may send only the factors they care about,
+// then scaled to the named profiles' total so custom scores sit on the same scale (only the ratios matter).
+// Returns { ok: true, weights } or { ok: false, error }.
+function validateWeights(custom) {
+  if (!custom || typeof custom !== 'object' || Array.isArray(custom)) return { ok: false, error: 'weights must be an object' };
+  const merged = { ...WEIGHTS };
+  for (const [k, v] of Object.entries(custom)) {
+    if (!(k in WEIGHTS)) return { ok: false, error: `unknown factor: ${k}` };
+    if (typeof v !== 'number' || !isFinite(v) || v < 0 || v > 1) return { ok: false, error: `weight for ${k} must be a number between 0 and 1` };
+    merged[k] = v;
+  }
+  const sum = Object.values(merged).reduce((a, b) => a + b, 0);
+  if (sum <= 0) return { ok: false, error: 'at least one weight must be above 0' };
+  const scale = PROFILE_WEIGHT_TOTAL / sum;
+  for (const k of Object.keys(merged)) merged[k] = Number((merged[k] * scale).toFixed(6));
+  return { ok: true, weights: merged };
+}
+
+// profile name | weights object | undefined -> { name, weights }
+function resolveWeights(spec) {
+  if (!spec) return { name: DEFAULT_PROFILE, weights: WEIGHTS };
+  if (typeof spec === 'string') {
+    if (!WEIGHT_PROFILES[spec]) throw new Error(`unknown risk profile: ${spec}`);
+    return { name: spec, weights: WEIGHT_PROFILES[spec] };
+  }
+  const v = validateWeights(spec);
+  if (!v.ok) throw new Error(v.error);
+  return { name: 'custom', weights: v.weights };
 }
 
 // ---------- Core analyzer function ----------
-async function analyzeStockRisk(symbol, currentPrice = null) {
-  try {
-    symbol = (symbol || '').toUpperCase();
-    if (!symbol) throw new Error('symbol required');
+// factor scores (0..1, 1 = high risk) per WEIGHTS key + the raw values for the explanation; cached per symbol
+async function computeRiskFactors(symbol, priority = 'user') {
+  const cacheKey = `factors:${symbol}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  // 1) historical prices for ticker and S&P
+  const [hist, spxHist] = await Promise.all([
+    fetchHistoricalPrices(symbol, 365, priority).catch(() => null),
+    fetchHistoricalPrices('^GSPC', 365, priority).catch(() => fetchHistoricalPrices('SPY', 365, priority).catch(() => null))
+  ]);
+
+  // compute returns & volatility
+  let returnsTicker = [], returnsSPX = [];
+  let volShort = 0, volMed = 0, volLong = 0, volComposite = 0, drawdown90 = 0;
+  const volProfile = volatilityProfile(hist);
+  if (volProfile) {
+    returnsTicker = computeReturnsFromCloses(hist.closes, hist.times);
+    ({ short: volShort, med: volMed, long: volLong, composite: volComposite, drawdown90 } = volProfile);
+  }
+  const volumeVol = volumeVolatility(hist?.volumes);
 
-    // try cache first
-    const cacheKey = `analyze:${symbol}`;
-    const cached = cache.get(cacheKey);
-    if (cached) return cached;
-
-    // 1) historical prices for ticker and S&P
-    const [hist, spxHist] = await Promise.all([
-      fetchHistoricalPrices(symbol, 365).catch(() => null),
-      fetchHistoricalPrices('^GSPC', 365).catch(() => fetchHistoricalPrices('SPY', 365).catch(() => null))
-    ]);
-
-    // compute returns & volatility
-    let returnsTicker = [], returnsSPX = [];
-    let volShort = 0, volMed = 0, volLong = 0, volComposite = 0, drawdown90 = 0;
-    if (hist && hist.closes && hist.closes.length > 10) {
-      returnsTicker = computeReturnsFromCloses(hist.closes, hist.times);
-      const shortSlice = { closes: hist.closes.slice(- (WINDOWS.short + 1)), times: hist.times.slice(- (WINDOWS.short + 1)) };
-      const medSlice = { closes: hist.closes.slice(- (WINDOWS.medium + 1)), times: hist.times.slice(- (WINDOWS.medium + 1)) };
-      const longSlice = { closes: hist.closes.slice(- (WINDOWS.long + 1)), times: hist.times.slice(- (WINDOWS.long + 1)) };
-      volShort = annualizedVolatilityFromReturns(computeReturnsFromCloses(shortSlice.closes, shortSlice.times));
-      volMed = annualizedVolatilityFromReturns(computeReturnsFromCloses(medSlice.closes, medSlice.times));
-      volLong = annualizedVolatilityFromReturns(computeReturnsFromCloses(longSlice.closes, longSlice.times));
-      volComposite = (volShort + volMed + volLong) / 3;
-      drawdown90 = maxDrawdownFromCloses(longSlice.closes);
-    }
+  if (spxHist && spxHist.closes && spxHist.closes.length > 10) {
+    returnsSPX = computeReturnsFromCloses(spxHist.closes, spxHist.times);
+  }
 
-    if (spxHist && spxHist.closes && spxHist.closes.length > 10) {
-      returnsSPX = computeReturnsFromCloses(spxHist.closes, spxHist.times);
-    }
+  // which factors had to fall back to a default instead of real data
+  const hasHist = !!volProfile;
+  const fallbacks = { volatility: !hasHist, drawdown: !hasHist, volumeVol: volumeVol === null };
 
-    // 2) beta (regression)
-    let beta = 1;
-    try {
-      if (returnsTicker.length >= 20 && returnsSPX.length >= 20) {
-        // align ends
-        const minLen = Math.min(returnsTicker.length, returnsSPX.length);
-        const x = returnsSPX.slice(-minLen).map(r => r.ret);
-        const y = returnsTicker.slice(-minLen).map(r => r.ret);
-        const data = x.map((xi, i) => [xi, y[i]]);
-        const result = regression.linear(data, { precision: 6 });
-        beta = result?.equation?.[0] ?? 1;
-      } else {
-        // fallback: use profile.beta if available later
-        beta = 1;
-      }
-    } catch (e) {
+  // 2) beta (regression)
+  let beta = 1;
+  fallbacks.beta = true;
+  try {
+    if (returnsTicker.length >= 20 && returnsSPX.length >= 20) {
+      // align ends
+      const minLen = Math.min(returnsTicker.length, returnsSPX.length);
+      const x = returnsSPX.slice(-minLen).map(r => r.ret);
+      const y = returnsTicker.slice(-minLen).map(r => r.ret);
+      const data = x.map((xi, i) => [xi, y[i]]);
+      const result = regression.linear(data, { precision: 6 });
+      beta = result?.equation?.[0] ?? 1;
+      fallbacks.beta = typeof result?.equation?.[0] !== 'number';
+    } else {
+      // fallback: use profile.beta if available later
       beta = 1;
     }
+  } catch (e) {
+    beta = 1;
+  }
 
-    // 3) fundamentals & metrics
-    const fundamentals = await fetchFundamentals(symbol).catch(() => null);
-    const metrics = fundamentals?.metrics?.metric || {};
-    const profile = fundamentals?.profile || {};
-    const dToE = metrics?.debtToEquity ?? (profile?.marketCapitalization ? 0.5 : 0.5);
-    const interestCoverage = metrics?.interestCoverage ?? 5;
-    const sharpe = metrics?.sharpeRatio ?? 0.5;
-    const fcfPerShare = metrics?.freeCashFlowPerShare ?? null;
-
-    // FCF stability simple heuristic
-    const fcfStability = fcfPerShare ? normalize(fcfPerShare, -1, 5) : 0.5;
-
-    // 4) earnings & surprises
-    const earningsData = await fetchEarnings(symbol).catch(() => []);
-    let earningsImpact = 0;
-    if (Array.isArray(earningsData) && earningsData.length > 0) {
-      const last = earningsData[0];
-      if (typeof last.actual === 'number' && typeof last.estimate === 'number') {
-        const surprisePct = (last.actual - last.estimate) / (Math.abs(last.estimate) || 1);
-        earningsImpact = surprisePct; // can be negative or positive
-      } else {
-        earningsImpact = 0;
-      }
+  // 3) fundamentals & metrics
+  const fundamentals = await fetchFundamentals(symbol, priority).catch(() => null);
+  const metrics = fundamentals?.metrics?.metric || {};
+  const profile = fundamentals?.profile || {};
+  const dToE = metrics?.debtToEquity ?? (profile?.marketCapitalization ? 0.5 : 0.5);
+  const interestCoverage = metrics?.interestCoverage ?? 5;
+  const sharpe = metrics?.sharpeRatio ?? 0.5;
+  const fcfPerShare = metrics?.freeCashFlowPerShare ?? null;
+  fallbacks.debtToEquity = typeof metrics?.debtToEquity !== 'number';
+  fallbacks.interestCoverage = typeof metrics?.interestCoverage !== 'number';
+  fallbacks.sharpe = typeof metrics?.sharpeRatio !== 'number';
+  fallbacks.fcfStability = !fcfPerShare;
+
+  // sector volatility: the industry's sector ETF, analyzed like the ticker itself
+  const industry = profile?.finnhubIndustry || null;
+  const sector = sectorForIndustry(industry);
+  const etf = sectorEtf(sector);
+  const etfProfile = etf ? volatilityProfile(await fetchHistoricalPrices(etf, 365, priority).catch(() => null)) : null;
+  const sectorVol = etfProfile ? etfProfile.composite : null;
+  fallbacks.sectorVolatility = sectorVol === null;
+  // sector risk multiplier (riskCalculator.js); neutral when Finnhub has no industry for the symbol or sectors.js
+  // can't place it — an unknown industry is missing data, not extra risk
+  const sectorRisk = sector ? { ...sectorMultiplier(sector), fallback: false } : { sector: null, multiplier: 1, fallback: true };
+
+  // FCF stability simple heuristic
+  const fcfStability = fcfPerShare ? normalize(fcfPerShare, -1, 5) : 0.5;
+
+  // 4) earnings & surprises
+  const earningsData = await fetchEarnings(symbol, priority).catch(() => []);
+  let earningsImpact = 0;
+  fallbacks.earningsVariability = true;
+  if (Array.isArray(earningsData) && earningsData.length > 0) {
+    const last = earningsData[0];
+    if (typeof last.actual === 'number' && typeof last.estimate === 'number') {
+      const surprisePct = (last.actual - last.estimate) / (Math.abs(last.estimate) || 1);
+      earningsImpact = surprisePct; // can be negative or positive
+      fallbacks.earningsVariability = false;
+    } else {
+      earningsImpact = 0;
     }
+  }
 
-    // 5) news & sentiment
-    const newsItems = await fetchNews(symbol, 14).catch(() => []);
-    // try Finnhub news-sentiment if available
-    let sentiment = 0.5;
+  // 5) news & sentiment
+  const newsItems = await fetchNews(symbol, 14, priority).catch(() => []);
+  let sentiment = 0.5;
+  let sentimentSource = 'keywords';
+  let eventSeverity = null;
+  let newsEvents = [];
+  // LLM headline scoring when SENTIMENT_LLM_BACKEND is set, else Finnhub news-sentiment, else keywords
+  const llmSentiment = await scoreNewsSentiment(symbol, newsItems).catch(() => null);
+  if (llmSentiment) {
+    sentiment = llmSentiment.sentiment;
+    sentimentSource = llmSentiment.source;
+    eventSeverity = llmSentiment.eventSeverity;
+    newsEvents = llmSentiment.events;
+  } else {
     try {
       // finnhub has news-sentiment endpoint for tickers
-      const ns = await axios.get(`${FINNHUB_API}/news-sentiment`, { params: { symbol, token: FINNHUB_KEY }, timeout: 8000 }).then(r => r.data).catch(() => null);
+      const ns = await finnhub.get('news-sentiment', { symbol }, { priority, timeout: 8000 }).catch(() => null);
       if (ns && typeof ns.sentiment === 'object') {
         // ns.sentiment example: { positive: x, negative: y, neutral: z }
         const pos = ns.sentiment.positive || 0;
         const neg = ns.sentiment.negative || 0;
         sentiment = (pos + 1e-6) / (pos + neg + 1e-6); // map 0..1 (higher = more positive)
+        sentimentSource = 'news-sentiment';
       } else {
         sentiment = sentimentScoreFromNewsItems(newsItems);
       }
     } catch (e) {
       sentiment = sentimentScoreFromNewsItems(newsItems);
     }
+  }
+
+  // keyword scorer with no headlines is just the 0.5 default
+  if (sentimentSource === 'keywords' && (!Array.isArray(newsItems) || newsItems.length === 0)) sentimentSource = 'default';
+  fallbacks.sentiment = sentimentSource === 'default';
+  fallbacks.eventRisk = fallbacks.sentiment && fallbacks.earningsVariability;
+
+  // 6) VIX approximation
+  const vixRes = await fetchVIX(priority).catch(() => ({ value: 20, fallback: true }));
+  const vix = vixRes.value;
+  fallbacks.vix = vixRes.fallback;
+
+  // 7) relative strength
+  fallbacks.relativeStrength = !(returnsTicker.length && returnsSPX.length && Math.min(returnsTicker.length, returnsSPX.length) >= 5);
+  const rs = (returnsTicker.length && returnsSPX.length) ? (() => {
+    const len = Math.min(returnsTicker.length, returnsSPX.length, WINDOWS.long);
+    if (len < 5) return 0.5;
+    const tSlice = returnsTicker.slice(-len).map(r => r.ret);
+    const sSlice = returnsSPX.slice(-len).map(r => r.ret);
+    const tCum = tSlice.reduce((a, b) => a * (1 + b), 1) - 1;
+    const sCum = sSlice.reduce((a, b) => a * (1 + b), 1) - 1;
+    const ratio = (1 + tCum) / (1 + sCum) - 1;
+    return normalize(ratio, -0.5, 0.5);
+  })() : 0.5;
+
+  // 8) compute normalized scores where 1 = high risk
+  const betaScore = normalize(beta, 0, 2.5); // >2.5 high risk
+  const volScore = normalize(volComposite, 0, 1); // 100% vol -> 1
+  const sharpeScore = 1 - normalize(sharpe, -1, 2); // lower sharpe -> higher risk
+  const drawdownScore = normalize(drawdown90, 0, 0.8);
+  const debtScore = normalize(dToE, 0, 2);
+  const interestCoverageScore = 1 - normalize(interestCoverage, 0, 20);
+  const fcfScore = 1 - fcfStability;
+  const earningsVarScore = 1 - normalize(Math.abs(earningsImpact), 0, 1); // big surprise -> more impact (we'll use eventRisk later)
+  const rsScore = 1 - rs; // better RS -> lower risk
+  const eventRiskScore = (() => {
+    // combine negative sentiment and negative earnings surprise
+    const newsRisk = Math.max(1 - sentiment, eventSeverity ?? 0); // low sentiment or a severe negative event -> higher risk
+    const surpriseRisk = (earningsImpact < 0) ? normalize(-earningsImpact, 0, 1) : 0; // negative surprise increases risk
+    return Math.max(newsRisk, surpriseRisk);
+  })();
+  const vixScore = normalize(vix, 10, 40);
+  const sectorVolScore = sectorVol !== null ? normalize(sectorVol, 0, 1) : volScore; // fall back to the ticker's own volatility
+  const volumeVolScore = normalize(volumeVol, 0.2, 1.2); // null -> 0.5
+  const sentimentScore = 1 - sentiment; // lower sentiment -> higher risk
+
+  const scores = {
+    beta: betaScore,
+    volatility: volScore,
+    sharpe: sharpeScore,
+    drawdown: drawdownScore,
+    volumeVol: volumeVolScore,
+    debtToEquity: debtScore,
+    interestCoverage: interestCoverageScore,
+    fcfStability: fcfScore,
+    earningsVariability: 1 - earningsVarScore, // more variability -> higher risk
+    relativeStrength: rsScore,
+    eventRisk: eventRiskScore,
+    vix: vixScore,
+    sectorVolatility: sectorVolScore,
+    sentiment: sentimentScore
+  };
+
+  const explanation = {
+    beta: { value: beta, score: betaScore },
+    volatility: { short: volShort, med: volMed, long: volLong, composite: volComposite, score: volScore },
+    volumeVolatility: volumeVol,
+    sector: { industry, sector, etf, volatility: sectorVol, label: sectorRisk.sector, multiplier: sectorRisk.multiplier },
+    drawdown90,
+    debtToEquity: dToE,
+    interestCoverage,
+    fcfPerShare,
+    fcfStability,
+    earningsImpact,
+    eventRiskScore,
+    sentiment,
+    sentimentSource,
+    eventSeverity,
+    newsEvents,
+    vix,
+    relativeStrength: rs
+  };
+
+  // raw input behind each score, for the per-factor breakdown
+  const values = {
+    beta,
+    volatility: volComposite,
+    sharpe,
+    drawdown: drawdown90,
+    volumeVol,
+    debtToEquity: dToE,
+    interestCoverage,
+    fcfStability: fcfPerShare,
+    earningsVariability: earningsImpact,
+    relativeStrength: rs,
+    eventRisk: eventRiskScore,
+    vix,
+    sectorVolatility: sectorVol ?? volComposite,
+    sentiment
+  };
+
+  const factors = { scores, values, fallbacks, sectorRisk, beta, volatility: volComposite, sentiment, earningsImpact, explanation, analyzedAt: new Date().toISOString() };
+  cache.set(cacheKey, factors, 60 * 5);
+  return factors;
+}
 
-    // 6) VIX approximation
-    const vix = await fetchVIX().catch(() => 20);
-
-    // 7) relative strength
-    const rs = (returnsTicker.length && returnsSPX.length) ? (() => {
-      const len = Math.min(returnsTicker.length, returnsSPX.length, WINDOWS.long);
-      if (len < 5) return 0.5;
-      const tSlice = returnsTicker.slice(-len).map(r => r.ret);
-      const sSlice = returnsSPX.slice(-len).map(r => r.ret);
-      const tCum = tSlice.reduce((a, b) => a * (1 + b), 1) - 1;
-      const sCum = sSlice.reduce((a, b) => a * (1 + b), 1) - 1;
-      const ratio = (1 + tCum) / (1 + sCum) - 1;
-      return normalize(ratio, -0.5, 0.5);
-    })() : 0.5;
-
-    // 8) compute normalized scores where 1 = high risk
-    const betaScore = normalize(beta, 0, 2.5); // >2.5 high risk
-    const volScore = normalize(volComposite, 0, 1); // 100% vol -> 1
-    const sharpeScore = 1 - normalize(sharpe, -1, 2); // lower sharpe -> higher risk
-    const drawdownScore = normalize(drawdown90, 0, 0.8);
-    const debtScore = normalize(dToE, 0, 2);
-    const interestCoverageScore = 1 - normalize(interestCoverage, 0, 20);
-    const fcfScore = 1 - fcfStability;
-    const earningsVarScore = 1 - normalize(Math.abs(earningsImpact), 0, 1); // big surprise -> more impact (we'll use eventRisk later)
-    const rsScore = 1 - rs; // better RS -> lower risk
-    const eventRiskScore = (() => {
-      // combine negative sentiment and negative earnings surprise
-      const newsRisk = 1 - sentiment; // low sentiment -> higher risk
-      const surpriseRisk = (earningsImpact < 0) ? normalize(-earningsImpact, 0, 1) : 0; // negative surprise increases risk
-      return Math.max(newsRisk, surpriseRisk);
-    })();
-    const vixScore = normalize(vix, 10, 40);
-    const sectorVolScore = volScore; // placeholder
-    const sentimentScore = 1 - sentiment; // lower sentiment -> higher risk
-
-    // 9) composite weighted sum (0..1)
-    const composite = (
-      WEIGHTS.beta * betaScore +
-      WEIGHTS.volatility * volScore +
-      WEIGHTS.sharpe * sharpeScore +
-      WEIGHTS.drawdown * drawdownScore +
-      WEIGHTS.volumeVol * 0.5 + // placeholder for volume volatility
-      WEIGHTS.debtToEquity * debtScore +
-      WEIGHTS.interestCoverage * interestCoverageScore +
-      WEIGHTS.fcfStability * fcfScore +
-      WEIGHTS.earningsVariability * (1 - earningsVarScore) + // more variability -> higher risk
-      WEIGHTS.relativeStrength * rsScore +
-      WEIGHTS.eventRisk * eventRiskScore +
-      WEIGHTS.vix * vixScore +
-      WEIGHTS.sectorVolatility * sectorVolScore +
-      WEIGHTS.sentiment * sentimentScore
-    );
-
-    // map composite 0..1 to 1..10 (higher composite -> higher risk)
-    const overallRiskScore = Math.min(10, Math.max(1, Math.round((composite * 9) + 1)));
-
-    const explanation = {
-      beta: { value: beta, score: betaScore },
-      volatility: { short: volShort, med: volMed, long: volLong, composite: volComposite, score: volScore },
-      drawdown90,
-      debtToEquity: dToE,
-      interestCoverage,
-      fcfPerShare,
-      fcfStability,
-      earningsImpact,
-      eventRiskScore,
-      sentiment,
-      vix,
-      relativeStrength: rs,
-      compositeRaw: composite
+// weighted sum of the factor scores (0..1), scaled by the sector multiplier and mapped to 1..10 (higher composite -> higher risk).
+// breakdown: per factor { value, score, weight, contribution (composite units), points (on the 1..10 scale), fallback };
+// contributions/points are before the sector multiplier (compositeBeforeSector).
+// dataCompleteness: share of the total weight backed by real data rather than a default.
+function scoreFromFactors(factors, weights) {
+  let composite = 0;
+  let totalWeight = 0;
+  let realWeight = 0;
+  const breakdown = {};
+  for (const k of Object.keys(WEIGHTS)) {
+    const weight = weights[k] ?? 0;
+    const score = factors.scores[k] ?? 0.5;
+    const fallback = factors.fallbacks?.[k] ?? false;
+    const contribution = weight * score;
+    composite += contribution;
+    totalWeight += weight;
+    if (!fallback) realWeight += weight;
+    breakdown[k] = {
+      value: factors.values?.[k] ?? null,
+      score: Number(score.toFixed(4)),
+      weight,
+      contribution: Number(contribution.toFixed(4)),
+      points: Number((contribution * 9).toFixed(3)),
+      fallback
     };
+  }
+  const compositeBeforeSector = composite;
+  const multiplier = factors.sectorRisk?.multiplier ?? 1;
+  composite = Math.min(1, composite * multiplier);
+  const overallRiskScore = Math.min(10, Math.max(1, Math.round((composite * 9) + 1)));
+  const dataCompleteness = totalWeight > 0 ? realWeight / totalWeight : 0;
+  const confidence = dataCompleteness >= 0.8 ? 'high' : dataCompleteness >= 0.5 ? 'medium' : 'low';
+  return { composite, compositeBeforeSector, sectorMultiplier: multiplier, overallRiskScore, breakdown, dataCompleteness: Number(dataCompleteness.toFixed(3)), confidence };
+}
+
+// options.weights: profile name ('conservative' | 'balanced' | 'aggressive') or a custom weights object
+// options.priority: Finnhub lane for the data fetches — 'user' (default) or 'background' for scheduled recalcs
+async function analyzeStockRisk(symbol, currentPrice = null, options = {}) {
+  try {
+    symbol = (symbol || '').toUpperCase();
+    if (!symbol) throw new Error('symbol required');
 
-    const result = {
+    const profile = resolveWeights(options.weights);
+    const factors = await computeRiskFactors(symbol, options.priority);
+    const { composite, compositeBeforeSector, sectorMultiplier: sectorMult, overallRiskScore, breakdown, dataCompleteness, confidence } = scoreFromFactors(factors, profile.weights);
+
+    return {
       overallRiskScore,
-      beta,
-      volatility: volComposite,
-      sentiment,
-      earningsImpact,
-      explanation,
-      analyzedAt: new Date().toISOString()
+      beta: factors.beta,
+      volatility: factors.volatility,
+      sentiment: factors.sentiment,
+      earningsImpact: factors.earningsImpact,
+      explanation: { ...factors.explanation, compositeRaw: composite, compositeBeforeSector, sectorMultiplier: sectorMult, weightsProfile: profile.name, factors: breakdown, dataCompleteness, confidence },
+      weightsProfile: profile.name,
+      analyzedAt: factors.analyzedAt
     };
-
-    cache.set(cacheKey, result, 60 * 5);
-    return result;
   } catch (err) {
     // On error return conservative medium risk
     return {
@@ -368,4 +543,16 @@ async function analyzeStockRisk(symbol, currentPrice = null) {
   }
 }
 
-module.exports = { analyzeStockRisk, /* optional: clearCache */ clearCache: (key) => cache.del(key) };
+module.exports = {
+  analyzeStockRisk,
+  WEIGHT_PROFILES,
+  DEFAULT_PROFILE,
+  validateWeights,
+  resolveWeights,
+  // shared with portfolio-level risk (VaR) so candles come from the same cache
+  fetchHistoricalPrices,
+  computeReturnsFromCloses,
+  // hit/miss counters of the analyzer cache, for /metrics
+  cacheStats: () => cache.getStats(),
+  /* optional: clearCache */ clearCache: (key) => cache.del(key)
+};
@@ -1,3 +1,8 @@
+// riskCalculator.js
+// CommonJS module - sector-multiplier risk model and volatility-based stop-loss (calculateRiskAndStopLoss).
+// Sector keys are the Hebrew labels; English sector keys and Finnhub industries are mapped through sectors.js.
+const { hebrewSectorLabel } = require('./sectors');
+
 const SECTOR_RISK_MULTIPLIERS = {
   'טכנולוגיה': 1.2,
   'קריפטו': 2.0,
@@ -29,11 +34,17 @@ function calculateVolatility(prices) {
   return Math.sqrt(variance) * 100;
 }
 
+// sector label / key / Finnhub industry -> multiplier ('לא מוגדר' when it cannot be placed)
+function sectorMultiplier(sector) {
+  const label = hebrewSectorLabel(sector);
+  return { sector: label, multiplier: SECTOR_RISK_MULTIPLIERS[label] ?? SECTOR_RISK_MULTIPLIERS['לא מוגדר'] };
+}
+
 function calculateRiskAndStopLoss(stock, priceHistory, portfolioRiskLevel = 50) {
   if (!stock || !priceHistory || priceHistory.length < 10) {
     return {
       riskScore: 5.0,
-      stopLossPrice: stock.entry_price * 0.9
+      stopLossPrice: (stock?.entry_price ?? 0) * 0.9
     };
   }
 
@@ -41,8 +52,8 @@ function calculateRiskAndStopLoss(stock, priceHistory, portfolioRiskLevel = 50)
   let volatilityScore = (volatility / 4) * 10;
   volatilityScore = Math.min(volatilityScore, 10);
 
-  const sectorMultiplier = SECTOR_RISK_MULTIPLIERS[stock.sector] || 1.3;
-  let riskScore = volatilityScore * sectorMultiplier;
+  const { multiplier } = sectorMultiplier(stock.sector);
+  let riskScore = volatilityScore * multiplier;
   riskScore = Math.max(1, Math.min(10, riskScore));
 
   const baseStopLossPercentage = riskScore * 1.5;
@@ -57,4 +68,4 @@ function calculateRiskAndStopLoss(stock, priceHistory, portfolioRiskLevel = 50)
   };
 }
 
-module.exports = { calculateRiskAndStopLoss };
+module.exports = { calculateRiskAndStopLoss, sectorMultiplier, SECTOR_RISK_MULTIPLIERS };
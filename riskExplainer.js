@@ -0,0 +1,132 @@
+// riskExplainer.js
+// CommonJS module - turns an analyzeStockRisk() result into a short narrative in the user's locale (explain.* keys):
+// top drivers, what changed since the previous recorded analysis, and a suggested action.
+// The facts are always computed here; EXPLAIN_LLM_BACKEND (hf | base44 | mock, see llmModels.js) only words them,
+// and any model error or schema mismatch falls back to the deterministic template.
+
+const { getModel, generateValidated } = require('./llmModels');
+const { extractFactors } = require('./riskHistory');
+const { LOCALES, DEFAULT_LOCALE, t, formatNumber, formatDate } = require('./i18n');
+const log = require('./logger').child({ subsystem: 'risk' });
+
+const EXPLAIN_LLM_BACKEND = process.env.EXPLAIN_LLM_BACKEND || ''; // '' = template only
+const LANGS = LOCALES;
+const MAX_DRIVERS = 3;
+const CHANGE_THRESHOLD = 0.1; // relative change of a factor value worth mentioning
+
+// history factor keys (extractFactors) -> breakdown keys, for labelling changes
+const CHANGE_FACTORS = {
+  beta: 'beta', volatility: 'volatility', drawdown90: 'drawdown', debtToEquity: 'debtToEquity', interestCoverage: 'interestCoverage',
+  sentiment: 'sentiment', eventRiskScore: 'eventRisk', vix: 'vix', relativeStrength: 'relativeStrength',
+};
+
+const fmt = (v, lang) => (typeof v === 'number' ? formatNumber(lang, v) : v);
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+const factorLabel = (lang, factor) => t(lang, `factors.${factor}`);
+
+// contribution relative to a neutral 0.5 score, in points on the 1..10 scale; fallback factors are left out
+function topDrivers(breakdown = {}, lang) {
+  return Object.entries(breakdown)
+    .filter(([, f]) => !f.fallback && f.weight > 0)
+    .map(([factor, f]) => ({ factor, label: factorLabel(lang, factor), value: f.value, points: Number(((f.score - 0.5) * f.weight * 9).toFixed(3)) }))
+    .filter(d => d.points !== 0)
+    .sort((a, b) => Math.abs(b.points) - Math.abs(a.points))
+    .slice(0, MAX_DRIVERS)
+    .map(d => ({ ...d, direction: d.points > 0 ? 'raises' : 'lowers' }));
+}
+
+// previous: riskHistory point { at, score, factors } recorded before this analysis (balanced profile)
+function changesSince(analysis, previous, lang) {
+  if (!previous) return { scoreChange: null, changes: [] };
+  const current = extractFactors(analysis.explanation);
+  const changes = [];
+  for (const [key, factor] of Object.entries(CHANGE_FACTORS)) {
+    const from = previous.factors?.[key];
+    const to = current[key];
+    if (typeof from !== 'number' || typeof to !== 'number') continue;
+    const rel = Math.abs(to - from) / Math.max(Math.abs(from), 1e-6);
+    if (rel >= CHANGE_THRESHOLD) changes.push({ factor, label: factorLabel(lang, factor), from: fmt(from, lang), to: fmt(to, lang) });
+  }
+  // history is kept for the balanced profile only, so the score delta is only meaningful for that profile
+  const scoreChange = analysis.weightsProfile === 'balanced'
+    ? { from: previous.score, to: analysis.overallRiskScore, delta: analysis.overallRiskScore - previous.score, since: new Date(previous.at).toISOString() }
+    : null;
+  return { scoreChange, changes };
+}
+
+function actionFor(score, scoreChange) {
+  const rising = scoreChange && scoreChange.delta >= 2;
+  if (score >= 8) return 'reduce';
+  if (score >= 6 || rising) return 'review';
+  if (score >= 4) return 'hold';
+  return 'low';
+}
+
+function buildFacts(ticker, analysis, previous, lang) {
+  const score = analysis.overallRiskScore;
+  const confidence = analysis.explanation?.confidence || 'low';
+  const drivers = topDrivers(analysis.explanation?.factors, lang);
+  const { scoreChange, changes } = changesSince(analysis, previous, lang);
+  const action = actionFor(score, scoreChange);
+  return { ticker, lang, score, confidence, drivers, scoreChange, changes, action, actionText: t(lang, `explain.action.${action}`) };
+}
+
+function templateNarrative(facts) {
+  const L = facts.lang;
+  const summary = t(L, 'explain.summary', { ticker: facts.ticker, score: facts.score, confidence: t(L, `explain.confidence.${facts.confidence}`) });
+  const drivers = facts.drivers.map(d => capitalize(t(L, 'explain.driver', { label: d.label, effect: t(L, `explain.${d.direction}`) })));
+  const since = facts.scoreChange ? formatDate(L, facts.scoreChange.since) : null;
+  const changes = [];
+  if (facts.scoreChange) {
+    const { delta } = facts.scoreChange;
+    const key = delta > 0 ? 'explain.scoreUp' : delta < 0 ? 'explain.scoreDown' : 'explain.scoreSame';
+    changes.push(t(L, key, { delta: formatNumber(L, Math.abs(delta)), since }));
+  }
+  for (const c of facts.changes) changes.push(capitalize(t(L, 'explain.changed', c)));
+  if (!facts.scoreChange && facts.changes.length === 0) changes.push(t(L, 'explain.noHistory'));
+  if (facts.confidence === 'low') changes.push(t(L, 'explain.lowData'));
+  return { summary, drivers, changes, action: facts.actionText };
+}
+
+function buildPrompt(facts) {
+  const language = facts.lang === 'he' ? 'Hebrew' : 'English';
+  return [
+    'TASK: risk-explain',
+    `Explain a stock risk score to a retail investor in ${language}, in plain words and without inventing numbers.`,
+    'Use only the facts below. Respond with JSON only, exactly:',
+    '{"summary":"one sentence","drivers":["one short sentence per driver"],"changes":["one short sentence per change"],"action":"one sentence"}',
+    `FACTS: ${JSON.stringify(facts)}`,
+  ].join('\n');
+}
+
+function validateNarrative(json) {
+  const isText = (v) => typeof v === 'string' && v.trim().length > 0 && v.length <= 500;
+  if (!json || !isText(json.summary) || !isText(json.action)) throw new Error('model output missing summary/action');
+  if (!Array.isArray(json.drivers) || !json.drivers.every(isText)) throw new Error('model output drivers must be strings');
+  if (!Array.isArray(json.changes) || !json.changes.every(isText)) throw new Error('model output changes must be strings');
+  return { summary: json.summary.trim(), drivers: json.drivers.slice(0, MAX_DRIVERS + 2), changes: json.changes.slice(0, 10), action: json.action.trim() };
+}
+
+// -> { lang, source, summary, drivers, changes, action, narrative, facts }
+async function explainRisk(ticker, analysis, { previous = null, lang = DEFAULT_LOCALE, backend = EXPLAIN_LLM_BACKEND } = {}) {
+  if (!LANGS.includes(lang)) lang = DEFAULT_LOCALE;
+  const facts = buildFacts(ticker, analysis, previous, lang);
+
+  let text = null;
+  let source = 'template';
+  const model = getModel(backend);
+  if (model) {
+    try {
+      text = await generateValidated(model, buildPrompt(facts), validateNarrative, { retries: 1 });
+      source = `llm:${backend}`;
+    } catch (e) {
+      log.warn(`⚠️ LLM explanation failed for ${ticker} (${backend}): ${e.message} — using template`);
+    }
+  }
+  if (!text) text = templateNarrative(facts);
+
+  const narrative = [text.summary, ...text.drivers, ...text.changes, text.action].join(' ');
+  return { lang, source, ...text, narrative, facts };
+}
+
+module.exports = { explainRisk, LANGS };
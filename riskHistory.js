@@ -0,0 +1,105 @@
+// riskHistory.js
+// CommonJS module - time series of overallRiskScore (+ the explanation factors behind it) per symbol.
+// createRiskHistory() returns an in-memory series store; `data` is plain JSON so the server can persist it.
+// The last day is kept at full resolution (the analyzer cache produces up to one point per 5 minutes); older points
+// are thinned to the last one of each hour, so the whole retention window fits and 30-day trends stay available.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const TREND_WINDOWS = { '1d': DAY_MS, '7d': 7 * DAY_MS, '30d': 30 * DAY_MS };
+
+// numeric factor values worth keeping per point (nested explanation objects are flattened)
+function extractFactors(explanation) {
+  if (!explanation || explanation.error) return {};
+  const num = (v) => (typeof v === 'number' && isFinite(v) ? Number(v.toFixed(4)) : null);
+  return {
+    beta: num(explanation.beta?.value ?? explanation.beta),
+    volatility: num(explanation.volatility?.composite ?? explanation.volatility),
+    drawdown90: num(explanation.drawdown90),
+    debtToEquity: num(explanation.debtToEquity),
+    interestCoverage: num(explanation.interestCoverage),
+    fcfStability: num(explanation.fcfStability),
+    earningsImpact: num(explanation.earningsImpact),
+    eventRiskScore: num(explanation.eventRiskScore),
+    sentiment: num(explanation.sentiment),
+    eventSeverity: num(explanation.eventSeverity),
+    vix: num(explanation.vix),
+    relativeStrength: num(explanation.relativeStrength),
+    compositeRaw: num(explanation.compositeRaw),
+  };
+}
+
+function toMs(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  if (isFinite(n)) return n;
+  const t = Date.parse(value);
+  return Number.isNaN(t) ? null : t;
+}
+
+// keeps the last point of every hour for points before `before`; newer points are left as they are
+function thinHourly(series, before) {
+  const out = [];
+  for (const p of series) {
+    const prev = out[out.length - 1];
+    if (prev && p.at < before && Math.floor(prev.at / HOUR_MS) === Math.floor(p.at / HOUR_MS)) out[out.length - 1] = p;
+    else out.push(p);
+  }
+  return out;
+}
+
+function createRiskHistory({
+  retentionDays = 90,
+  fullResolutionMs = DAY_MS,
+  maxPoints = retentionDays * 24 + 24 * 60, // hourly points for the retention + up to one a minute for the last day
+} = {}) {
+  const data = {}; // SYMBOL -> [{ at (ms), score, factors }], oldest first
+
+  // returns the stored point, or null when this analysis was already recorded (analyzer results are cached)
+  function record(symbol, analysis) {
+    if (!symbol || !analysis || typeof analysis.overallRiskScore !== 'number') return null;
+    if (analysis.explanation?.error) return null; // fallback "medium risk" on errors is not a real observation
+    const at = toMs(analysis.analyzedAt) ?? Date.now();
+    const series = data[symbol] = data[symbol] || [];
+    if (series.length && series[series.length - 1].at >= at) return null;
+
+    const point = { at, score: analysis.overallRiskScore, factors: extractFactors(analysis.explanation) };
+    series.push(point);
+
+    const now = Date.now();
+    const thinned = thinHourly(series, now - fullResolutionMs);
+    if (thinned.length !== series.length) series.splice(0, series.length, ...thinned);
+    const cutoff = now - retentionDays * DAY_MS;
+    let drop = 0;
+    while (drop < series.length && (series[drop].at < cutoff || series.length - drop > maxPoints)) drop++;
+    if (drop) series.splice(0, drop);
+    return point;
+  }
+
+  // points in [from, to] (ms or ISO strings; open-ended when omitted)
+  function range(symbol, from = null, to = null) {
+    const fromMs = toMs(from) ?? -Infinity;
+    const toMsVal = toMs(to) ?? Infinity;
+    return (data[symbol] || []).filter(p => p.at >= fromMs && p.at <= toMsVal);
+  }
+
+  // score delta vs. the latest point at or before now - window; null when history does not reach back that far
+  function trend(symbol, currentScore = null, now = Date.now()) {
+    const series = data[symbol] || [];
+    const latest = currentScore ?? series[series.length - 1]?.score ?? null;
+    const out = {};
+    for (const [label, windowMs] of Object.entries(TREND_WINDOWS)) {
+      const target = now - windowMs;
+      let base = null;
+      for (const p of series) { if (p.at <= target) base = p; else break; }
+      out[label] = base && latest !== null
+        ? { delta: latest - base.score, from: base.score, since: new Date(base.at).toISOString() }
+        : null;
+    }
+    return out;
+  }
+
+  return { data, record, range, trend };
+}
+
+module.exports = { createRiskHistory, extractFactors, parseTime: toMs };
@@ -0,0 +1,36 @@
+// rotateCredentialsKey.js
+// Re-encrypts every stored alpacaKeys blob with the current CREDENTIALS_MASTER_KEY.
+// Usage (server stopped, same STORAGE_DRIVER / STORAGE_FILE as the server):
+//   CREDENTIALS_MASTER_KEY=<new> CREDENTIALS_PREVIOUS_KEYS=<old> npm run rotate-credentials
+require('dotenv').config();
+const { createStorage } = require('./storage');
+const credentials = require('./credentials');
+
+async function main() {
+  if (!credentials.isConfigured()) throw new Error('CREDENTIALS_MASTER_KEY not set');
+  const storage = createStorage();
+  await storage.init();
+
+  const portfolios = await storage.getAll('portfolios');
+  let rotated = 0, failed = 0;
+  for (const [userId, up] of Object.entries(portfolios)) {
+    const blob = up?.alpaca?.alpacaKeys;
+    if (!blob || !credentials.needsReencrypt(blob)) continue;
+    try {
+      up.alpaca.alpacaKeys = credentials.reencryptCredentials(blob);
+      await storage.set('portfolios', userId, up);
+      rotated++;
+    } catch (e) {
+      failed++;
+      console.error(`❌ ${userId}: ${e.message}`);
+    }
+  }
+  await storage.close();
+  console.log(`🔑 Credentials rotated: ${rotated}, failed: ${failed}`);
+  if (failed) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('❌ Rotation failed:', err.message);
+  process.exit(1);
+});
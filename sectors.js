@@ -0,0 +1,122 @@
+// sectors.js
+// CommonJS module - sector taxonomy: maps Finnhub's profile `finnhubIndustry` to a sector and its SPDR sector ETF.
+// Exact industry names first, then keyword rules for the long tail; null when nothing matches.
+// Also bridges to the Hebrew sector names used by riskCalculator.js (SECTOR_RISK_MULTIPLIERS) and the client.
+
+const SECTOR_ETFS = {
+  technology: 'XLK',
+  financials: 'XLF',
+  healthcare: 'XLV',
+  energy: 'XLE',
+  utilities: 'XLU',
+  realEstate: 'XLRE',
+  industrials: 'XLI',
+  materials: 'XLB',
+  consumerDiscretionary: 'XLY',
+  consumerStaples: 'XLP',
+  communication: 'XLC',
+};
+
+// sector -> Hebrew sector name (riskCalculator.js / client labels)
+const SECTOR_LABELS_HE = {
+  technology: 'טכנולוגיה',
+  financials: 'בנקאות וכספים',
+  healthcare: 'בריאות ותרופות',
+  energy: 'אנרגיה',
+  utilities: 'שירותי ציבור',
+  realEstate: 'נדל"ן',
+  industrials: 'תעשייה',
+  materials: 'חומרים',
+  consumerDiscretionary: 'מוצרי צריכה',
+  consumerStaples: 'מוצרי צריכה בסיסיים',
+  communication: 'תקשורת',
+  crypto: 'קריפטו',
+  etf: 'ETF',
+};
+const UNDEFINED_SECTOR_HE = 'לא מוגדר';
+
+// Finnhub finnhubIndustry values (lowercased) -> sector
+const INDUSTRY_SECTORS = {
+  'technology': 'technology',
+  'semiconductors': 'technology',
+  'electrical equipment': 'industrials',
+  'banking': 'financials',
+  'financial services': 'financials',
+  'insurance': 'financials',
+  'pharmaceuticals': 'healthcare',
+  'biotechnology': 'healthcare',
+  'health care': 'healthcare',
+  'life sciences tools & services': 'healthcare',
+  'energy': 'energy',
+  'oil & gas': 'energy',
+  'utilities': 'utilities',
+  'real estate': 'realEstate',
+  'machinery': 'industrials',
+  'aerospace & defense': 'industrials',
+  'airlines': 'industrials',
+  'logistics & transportation': 'industrials',
+  'road & rail': 'industrials',
+  'marine': 'industrials',
+  'construction': 'industrials',
+  'building': 'industrials',
+  'industrial conglomerates': 'industrials',
+  'commercial services & supplies': 'industrials',
+  'professional services': 'industrials',
+  'trading companies & distributors': 'industrials',
+  'chemicals': 'materials',
+  'metals & mining': 'materials',
+  'packaging': 'materials',
+  'paper & forest': 'materials',
+  'retail': 'consumerDiscretionary',
+  'automobiles': 'consumerDiscretionary',
+  'auto components': 'consumerDiscretionary',
+  'hotels, restaurants & leisure': 'consumerDiscretionary',
+  'textiles, apparel & luxury goods': 'consumerDiscretionary',
+  'leisure products': 'consumerDiscretionary',
+  'diversified consumer services': 'consumerDiscretionary',
+  'distributors': 'consumerDiscretionary',
+  'consumer products': 'consumerStaples',
+  'food products': 'consumerStaples',
+  'beverages': 'consumerStaples',
+  'tobacco': 'consumerStaples',
+  'media': 'communication',
+  'telecommunication': 'communication',
+  'communications': 'communication',
+};
+
+const KEYWORD_RULES = [
+  [/semiconductor|software|technolog|electronic|internet|computer|it services/i, 'technology'],
+  [/bank|financ|insur|capital markets|credit|asset management/i, 'financials'],
+  [/pharma|biotech|health|medical|life science/i, 'healthcare'],
+  [/oil|gas|energy|coal/i, 'energy'],
+  [/utilit|power|water/i, 'utilities'],
+  [/real estate|reit/i, 'realEstate'],
+  [/chemical|metal|mining|steel|paper|packag|material/i, 'materials'],
+  [/food|beverage|tobacco|household|personal products|consumer products/i, 'consumerStaples'],
+  [/retail|auto|hotel|restaurant|leisure|apparel|luxury|textile/i, 'consumerDiscretionary'],
+  [/media|telecom|communication|entertainment/i, 'communication'],
+  [/machinery|aerospace|defense|airline|transport|logistic|construction|industrial|rail|marine/i, 'industrials'],
+];
+
+function sectorForIndustry(industry) {
+  if (!industry || typeof industry !== 'string') return null;
+  const exact = INDUSTRY_SECTORS[industry.trim().toLowerCase()];
+  if (exact) return exact;
+  for (const [re, sector] of KEYWORD_RULES) if (re.test(industry)) return sector;
+  return null;
+}
+
+function sectorEtf(sector) {
+  return SECTOR_ETFS[sector] || null;
+}
+
+// Accepts a sector key ('technology'), a Hebrew label ('טכנולוגיה') or a Finnhub industry ('Semiconductors')
+// and returns the Hebrew label; UNDEFINED_SECTOR_HE when it cannot be placed.
+function hebrewSectorLabel(value) {
+  if (!value || typeof value !== 'string') return UNDEFINED_SECTOR_HE;
+  if (Object.values(SECTOR_LABELS_HE).includes(value) || value === UNDEFINED_SECTOR_HE) return value;
+  const sector = SECTOR_LABELS_HE[value] ? value : sectorForIndustry(value);
+  return SECTOR_LABELS_HE[sector] || UNDEFINED_SECTOR_HE;
+}
+
+module.exports = { SECTOR_ETFS, SECTOR_LABELS_HE, UNDEFINED_SECTOR_HE, sectorForIndustry, sectorEtf, hebrewSectorLabel };
@@ -0,0 +1,115 @@
+// sentimentEngine.js
+// CommonJS module - LLM news sentiment and event severity over Finnhub company-news headlines.
+// Headlines are sent in batches to the backend named by SENTIMENT_LLM_BACKEND (hf | base44 | mock, see llmModels.js)
+// and the answer must match a strict schema; per-headline results are cached so re-analysis only scores new headlines.
+// scoreNewsSentiment() returns null when no backend is configured or every batch failed — the caller then
+// falls back to Finnhub news-sentiment / the keyword scorer.
+
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const { getModel, generateValidated } = require('./llmModels');
+const log = require('./logger').child({ subsystem: 'risk' });
+
+const SENTIMENT_LLM_BACKEND = process.env.SENTIMENT_LLM_BACKEND || ''; // '' = off
+const SENTIMENT_BATCH_SIZE = Number(process.env.SENTIMENT_BATCH_SIZE || 10); // headlines per model call
+const SENTIMENT_MAX_HEADLINES = Number(process.env.SENTIMENT_MAX_HEADLINES || 30); // most recent headlines scored per symbol
+const SENTIMENT_LLM_RETRIES = Number(process.env.SENTIMENT_LLM_RETRIES || 2); // retries per batch on error / schema mismatch
+const SENTIMENT_CACHE_TTL_SEC = Number(process.env.SENTIMENT_CACHE_TTL_SEC || 6 * 60 * 60); // per-headline result cache
+
+const EVENT_TYPES = ['earnings', 'guidance', 'rating', 'm&a', 'lawsuit', 'regulatory', 'fraud', 'bankruptcy', 'recall', 'layoffs', 'management', 'product', 'macro', 'other'];
+const RECENCY_HALF_LIFE_DAYS = 3;
+
+const cache = new NodeCache({ stdTTL: SENTIMENT_CACHE_TTL_SEC });
+
+function headlineKey(text) {
+  return 'h:' + crypto.createHash('sha1').update(text).digest('hex');
+}
+
+function buildPrompt(symbol, batch) {
+  return [
+    'TASK: news-sentiment',
+    `You score news headlines about the stock ${symbol} for an equity risk model.`,
+    'For every headline return its id, sentiment (-1 very negative .. 1 very positive),',
+    'severity (0 routine .. 1 company-threatening) and event (one of: ' + EVENT_TYPES.join(', ') + ').',
+    'Respond with JSON only, exactly: {"items":[{"id":0,"sentiment":0,"severity":0,"event":"other"}]}',
+    'Headlines:',
+    ...batch.map((h, i) => `[${i}] ${h.text}`),
+  ].join('\n');
+}
+
+// strict schema: one item per headline id, numbers in range, known event type
+function validateBatch(json, size) {
+  if (!json || !Array.isArray(json.items)) throw new Error('model output missing items[]');
+  const byId = new Map();
+  for (const item of json.items) {
+    const id = Number(item?.id);
+    if (!Number.isInteger(id) || id < 0 || id >= size) throw new Error(`bad item id ${item?.id}`);
+    const sentiment = Number(item.sentiment);
+    const severity = Number(item.severity);
+    if (!isFinite(sentiment) || sentiment < -1 || sentiment > 1) throw new Error(`bad sentiment for ${id}`);
+    if (!isFinite(severity) || severity < 0 || severity > 1) throw new Error(`bad severity for ${id}`);
+    if (!EVENT_TYPES.includes(item.event)) throw new Error(`bad event for ${id}: ${item.event}`);
+    byId.set(id, { sentiment, severity, event: item.event });
+  }
+  if (byId.size !== size) throw new Error(`expected ${size} items, got ${byId.size}`);
+  return byId;
+}
+
+// newsItems: Finnhub company-news [{ headline, summary, datetime (unix s), url }]
+// -> { sentiment (0..1, higher = more positive), eventSeverity (0..1), source, scored, events } | null
+async function scoreNewsSentiment(symbol, newsItems, { backend = SENTIMENT_LLM_BACKEND } = {}) {
+  const model = getModel(backend);
+  if (!model || !Array.isArray(newsItems) || newsItems.length === 0) return null;
+
+  const headlines = newsItems
+    .filter(n => n && (n.headline || n.summary))
+    .sort((a, b) => (b.datetime || 0) - (a.datetime || 0))
+    .slice(0, SENTIMENT_MAX_HEADLINES)
+    .map(n => ({ text: String(n.headline || n.summary).trim(), datetime: n.datetime || null, url: n.url || null }));
+
+  const results = new Map(); // index into headlines -> { sentiment, severity, event }
+  const pending = [];
+  headlines.forEach((h, i) => {
+    const hit = cache.get(headlineKey(h.text));
+    if (hit) results.set(i, hit); else pending.push(i);
+  });
+
+  for (let start = 0; start < pending.length; start += SENTIMENT_BATCH_SIZE) {
+    const idx = pending.slice(start, start + SENTIMENT_BATCH_SIZE);
+    const batch = idx.map(i => headlines[i]);
+    try {
+      const byId = await generateValidated(model, buildPrompt(symbol, batch), json => validateBatch(json, batch.length), { retries: SENTIMENT_LLM_RETRIES });
+      idx.forEach((i, j) => {
+        results.set(i, byId.get(j));
+        cache.set(headlineKey(headlines[i].text), byId.get(j));
+      });
+    } catch (e) {
+      log.warn(`⚠️ LLM sentiment batch failed for ${symbol} (${backend}): ${e.message}`);
+    }
+  }
+  if (results.size === 0) return null;
+
+  // recency-weighted mean sentiment; event severity is the worst negative headline, discounted by age
+  const now = Date.now() / 1000;
+  let weighted = 0, totalWeight = 0, eventSeverity = 0;
+  const events = [];
+  for (const [i, r] of results) {
+    const ageDays = headlines[i].datetime ? Math.max(0, (now - headlines[i].datetime) / 86400) : 0;
+    const w = Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+    weighted += w * r.sentiment;
+    totalWeight += w;
+    if (r.sentiment < 0) eventSeverity = Math.max(eventSeverity, r.severity * w);
+    if (r.event !== 'other') events.push({ headline: headlines[i].text, event: r.event, sentiment: r.sentiment, severity: r.severity, datetime: headlines[i].datetime, url: headlines[i].url });
+  }
+  events.sort((a, b) => b.severity - a.severity);
+
+  return {
+    sentiment: Number((((weighted / totalWeight) + 1) / 2).toFixed(4)),
+    eventSeverity: Number(eventSeverity.toFixed(4)),
+    source: `llm:${backend}`,
+    scored: results.size,
+    events: events.slice(0, 5),
+  };
+}
+
+module.exports = { scoreNewsSentiment, validateBatch, EVENT_TYPES };
@@ -0,0 +1,113 @@
+// sseStream.js
+// CommonJS module - per-user Server-Sent Events streams that survive reconnects.
+// createSseHub() returns { publish, connect, ... }. Every published update gets an id <boot>-<seq> (the hub's start
+// time in base 36, then a counter) and is written as
+//   id: <id>\nevent: <type>\ndata: <json>\n\n
+// and kept in a per-user ring buffer (SSE_BUFFER_SIZE). A client reconnecting with Last-Event-ID (header, or
+// ?lastEventId= for polyfills) gets what it missed replayed; if the id is older than the buffer or carries another
+// boot (a restart, whatever its counter) it gets a `resync` event and should reload its state over REST.
+// Filters per connection: ?types=risk-update,stoploss-updated&symbols=AAPL,MSFT (events without a symbol always pass).
+// Clients listen with EventSource.addEventListener(<type>, ...) since every event is named.
+// Snapshot-style events (price, portfolio-risk) replace their previous buffered copy, so a burst of ticks doesn't
+// push alerts out of the buffer; a replay gets the latest value, which is all a client needs.
+
+const LATEST_ONLY = new Set(['price', 'portfolio-risk']);
+
+function parseList(value, upper = false) {
+  if (!value) return null;
+  const list = String(value).split(',').map(v => v.trim()).filter(Boolean).map(v => (upper ? v.toUpperCase() : v));
+  return list.length ? new Set(list) : null;
+}
+
+function createSseHub({
+  bufferSize = Number(process.env.SSE_BUFFER_SIZE || 200), // events kept per user for replay
+  retryMs = Number(process.env.SSE_RETRY_MS || 5000),       // reconnect delay suggested to EventSource
+  pingMs = 30 * 1000,
+  logger = console,
+} = {}) {
+  const clients = {}; // userId -> Set<{ res, types, symbols }>
+  const buffers = {}; // userId -> { events: [{ seq, type, symbol, frame }], after } (every event with seq > after is in events)
+  // the counter restarts with the process; the boot part tells a client's id from a previous run apart
+  const boot = Date.now().toString(36);
+  let lastSeq = 0;
+  const nextId = () => `${boot}-${++lastSeq}`;
+
+  const frameFor = (id, type, data) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+  function wants(client, entry) {
+    if (client.types && !client.types.has(entry.type)) return false;
+    if (client.symbols && entry.symbol && !client.symbols.has(entry.symbol)) return false;
+    return true;
+  }
+
+  function write(client, frame) {
+    try { client.res.write(frame); } catch (e) { /* closed; removed on 'close' */ }
+  }
+
+  // data: { type, symbol?, ... } -> event id ('<boot>-<seq>')
+  function publish(userId, data) {
+    const type = data?.type || 'message';
+    const symbol = data?.symbol ? String(data.symbol).toUpperCase() : null;
+    const id = nextId();
+    const entry = { seq: lastSeq, type, symbol, key: `${type}|${symbol}|${data?.kind || ''}`, frame: frameFor(id, type, data) };
+    const buf = buffers[userId] = buffers[userId] || { events: [], after: 0 };
+    if (LATEST_ONLY.has(type)) {
+      const prev = buf.events.findIndex(e => e.key === entry.key);
+      if (prev !== -1) buf.events.splice(prev, 1);
+    }
+    buf.events.push(entry);
+    if (buf.events.length > bufferSize) buf.after = buf.events.splice(0, buf.events.length - bufferSize).pop().seq;
+    for (const client of clients[userId] || []) if (wants(client, entry)) write(client, entry.frame);
+    return id;
+  }
+
+  // replay everything after lastEventId; null when the gap can't be filled (events evicted, another boot, bad id)
+  function missedSince(userId, lastEventId) {
+    const match = /^([0-9a-z]+)-(\d+)$/.exec(String(lastEventId));
+    if (!match || match[1] !== boot) return null;
+    const seq = Number(match[2]);
+    const buf = buffers[userId] || { events: [], after: 0 };
+    if (seq < buf.after || seq > lastSeq) return null;
+    return buf.events.filter(e => e.seq > seq);
+  }
+
+  function connect(req, res, userId) {
+    const client = { res, types: parseList(req.query?.types), symbols: parseList(req.query?.symbols, true) };
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // no proxy buffering (nginx)
+    res.flushHeaders();
+    res.write(`retry: ${retryMs}\n\n`);
+
+    const rawLast = req.get('Last-Event-ID') ?? req.query?.lastEventId;
+    if (rawLast !== undefined && rawLast !== '') {
+      const missed = missedSince(userId, rawLast);
+      if (missed) missed.filter(e => wants(client, e)).forEach(e => write(client, e.frame));
+      else write(client, frameFor(nextId(), 'resync', { type: 'resync', reason: 'events since the last id are no longer available' }));
+      logger.info(`📡 SSE resume for ${userId} from ${rawLast}: ${missed ? `${missed.length} replayed` : 'resync'}`);
+    }
+
+    (clients[userId] = clients[userId] || new Set()).add(client);
+    req.on('close', () => {
+      clients[userId]?.delete(client);
+      if (clients[userId]?.size === 0) delete clients[userId];
+    });
+  }
+
+  // comment frames keep proxies from closing idle streams without adding events to the stream
+  const keepAlive = setInterval(() => {
+    for (const userId in clients) for (const client of clients[userId]) write(client, `: ping ${Date.now()}\n\n`);
+  }, pingMs);
+  keepAlive.unref?.();
+
+  return {
+    publish,
+    connect,
+    hasClients: (userId) => !!clients[userId]?.size,
+    clientCount: () => Object.values(clients).reduce((n, set) => n + set.size, 0),
+    close: () => clearInterval(keepAlive),
+  };
+}
+
+module.exports = { createSseHub };
@@ -0,0 +1,36 @@
+// stopLossMonitor.js
+// CommonJS module - stop-loss breach detection for a single position.
+// A position breaches when price <= stopLoss. It fires once, stays triggered while the price is
+// under water, and re-arms only after the price recovers above stopLoss * (1 + rearmPct / 100)
+// (the hysteresis band keeps a price hovering around the stop from firing on every tick).
+
+const DEFAULT_REARM_PCT = 0.5;
+
+// Mutates position.stopLossState. Returns { type: 'breach' | 'rearm', ... } on a transition, null otherwise.
+function checkStopLoss(position, price, { rearmPct = DEFAULT_REARM_PCT, now = Date.now() } = {}) {
+  if (!position || typeof price !== 'number' || !isFinite(price) || price <= 0) return null;
+  const stopLoss = Number(position.stopLoss);
+  if (!stopLoss || stopLoss <= 0) return null;
+
+  const state = position.stopLossState || (position.stopLossState = { triggered: false });
+  const at = new Date(now).toISOString();
+
+  if (!state.triggered) {
+    if (price > stopLoss) return null;
+    state.triggered = true;
+    state.triggeredAt = at;
+    state.triggerPrice = price;
+    state.stopAtTrigger = stopLoss;
+    state.rearmedAt = null;
+    return { type: 'breach', stopLoss, price, at };
+  }
+
+  if (price >= stopLoss * (1 + rearmPct / 100)) {
+    state.triggered = false;
+    state.rearmedAt = at;
+    return { type: 'rearm', stopLoss, price, at };
+  }
+  return null;
+}
+
+module.exports = { checkStopLoss };
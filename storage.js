@@ -0,0 +1,82 @@
+// storage.js
+// CommonJS module - pluggable persistence for server state (portfolios, push subs, seen events, ...)
+// Drivers: 'file' (JSON snapshot on disk, default) and 'memory' (no persistence, handy for local dev).
+// Every driver exposes the same async API: init, getAll, get, set, delete, flush, close.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, 'data', 'state.json');
+
+// ---------- memory driver ----------
+function createMemoryStorage() {
+  const data = {}; // collection -> { key: value }
+  const bucket = (collection) => (data[collection] = data[collection] || {});
+
+  return {
+    driver: 'memory',
+    data,
+    async init() {},
+    async getAll(collection) { return { ...bucket(collection) }; },
+    async get(collection, key) { return bucket(collection)[key] ?? null; },
+    async set(collection, key, value) { bucket(collection)[key] = value; },
+    async delete(collection, key) { delete bucket(collection)[key]; },
+    async flush() {},
+    async close() {}
+  };
+}
+
+// ---------- file driver ----------
+// Keeps everything in memory and writes a single JSON snapshot on flush().
+// Writes go to a temp file first and are renamed into place, so a crash mid-write never corrupts the snapshot.
+function createFileStorage({ filePath = DEFAULT_FILE } = {}) {
+  const mem = createMemoryStorage();
+  let lastWritten = null;
+  let pending = Promise.resolve();
+
+  async function writeSnapshot() {
+    const json = JSON.stringify(mem.data);
+    if (json === lastWritten) return; // nothing changed since last flush
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmp, json);
+    await fs.promises.rename(tmp, filePath);
+    lastWritten = json;
+  }
+
+  return {
+    ...mem,
+    driver: 'file',
+    filePath,
+    async init() {
+      let raw;
+      try {
+        raw = await fs.promises.readFile(filePath, 'utf8');
+      } catch (e) {
+        if (e.code === 'ENOENT') return; // first run
+        throw e;
+      }
+      try {
+        Object.assign(mem.data, JSON.parse(raw));
+      } catch (e) {
+        throw new Error(`Corrupt state file ${filePath}: ${e.message}`);
+      }
+      lastWritten = raw;
+    },
+    flush() {
+      // serialize writes so two flushes never race on the temp file
+      pending = pending.catch(() => {}).then(writeSnapshot);
+      return pending;
+    },
+    async close() { await this.flush(); }
+  };
+}
+
+function createStorage(options = {}) {
+  const driver = String(options.driver || process.env.STORAGE_DRIVER || 'file').toLowerCase();
+  if (driver === 'memory') return createMemoryStorage();
+  if (driver === 'file') return createFileStorage({ filePath: options.filePath || process.env.STORAGE_FILE || DEFAULT_FILE });
+  throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+}
+
+module.exports = { createStorage, createMemoryStorage, createFileStorage };
@@ -0,0 +1,128 @@
+// alpaca.test.js
+// Stop-order sync and position sync against mockAlpacaServer.js (node --test, no network).
+
+process.env.LOG_FILE = '';
+process.env.LOG_CONSOLE_FORMAT = 'off';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockAlpacaApp } = require('../mockAlpacaServer');
+const { syncStopOrder } = require('../alpacaTrading');
+const { fetchAccountPositions, reconcilePositions } = require('../alpacaPositionSync');
+
+const keys = { key: 'PKTEST', secret: 'secret' };
+const settings = { enabled: true, mode: 'paper', orderType: 'stop', limitOffsetPct: 1, dryRun: false };
+let app, server;
+
+before(async () => {
+  app = createMockAlpacaApp();
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  process.env.ALPACA_TRADING_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  for (const id of Object.keys(app.locals.orders)) delete app.locals.orders[id];
+  delete process.env.ALPACA_TRADING_DRY_RUN;
+  delete process.env.ALPACA_LIVE_TRADING;
+});
+
+const openOrders = () => Object.values(app.locals.orders).filter(o => o.status === 'new');
+
+test('creates a whole-share stop order and skips when it already matches', async () => {
+  const created = await syncStopOrder({ keys, settings, symbol: 'AAPL', qty: 3.7, stopPrice: 95.123 });
+  assert.equal(created.audit.action, 'create');
+  assert.equal(created.order.qty, 3);
+  assert.equal(created.order.stopPrice, 95.12);
+  assert.equal(openOrders().length, 1);
+
+  const again = await syncStopOrder({ keys, settings, symbol: 'AAPL', qty: 3, stopPrice: 95.12, existing: created.order });
+  assert.equal(again.audit.action, 'skip');
+  assert.equal(again.order, created.order);
+});
+
+test('replaces on a new stop or share count and cancels when the stop is gone', async () => {
+  const { order } = await syncStopOrder({ keys, settings, symbol: 'AAPL', qty: 10, stopPrice: 95 });
+  const resized = await syncStopOrder({ keys, settings, symbol: 'AAPL', qty: 4, stopPrice: 95, existing: order });
+  assert.equal(resized.audit.action, 'replace');
+  assert.equal(resized.audit.replacedOrderId, order.id);
+  assert.deepEqual(openOrders().map(o => o.qty), ['4']);
+
+  const cancelled = await syncStopOrder({ keys, settings, symbol: 'AAPL', qty: 4, stopPrice: null, existing: resized.order });
+  assert.equal(cancelled.audit.action, 'cancel');
+  assert.equal(cancelled.order, null);
+  assert.equal(openOrders().length, 0);
+});
+
+test('switching to stop_limit cancels and resubmits', async () => {
+  const { order } = await syncStopOrder({ keys, settings, symbol: 'MSFT', qty: 2, stopPrice: 300 });
+  const r = await syncStopOrder({ keys, settings: { ...settings, orderType: 'stop_limit' }, symbol: 'MSFT', qty: 2, stopPrice: 300, existing: order });
+  assert.equal(r.order.type, 'stop_limit');
+  assert.equal(r.order.limitPrice, 297);
+  assert.equal(app.locals.orders[order.id].status, 'canceled');
+});
+
+test('an order gone at the broker is forgotten', async () => {
+  const { order } = await syncStopOrder({ keys, settings, symbol: 'AAPL', qty: 1, stopPrice: 90 });
+  delete app.locals.orders[order.id];
+  const r = await syncStopOrder({ keys, settings, symbol: 'AAPL', qty: 1, stopPrice: 91, existing: order });
+  assert.equal(r.audit.status, 'error');
+  assert.equal(r.audit.httpStatus, 404);
+  assert.equal(r.order, null);
+});
+
+test('live orders are refused unless ALPACA_LIVE_TRADING is set', async () => {
+  const r = await syncStopOrder({ keys, settings: { ...settings, mode: 'live' }, symbol: 'AAPL', qty: 1, stopPrice: 90 });
+  assert.equal(r.audit.status, 'rejected');
+  assert.equal(openOrders().length, 0);
+});
+
+test('a dry-run order is replaced by a real one once dry-run is off', async () => {
+  const dry = await syncStopOrder({ keys, settings: { ...settings, dryRun: true }, symbol: 'AAPL', qty: 2, stopPrice: 90 });
+  assert.equal(dry.order.status, 'dry-run');
+  assert.equal(openOrders().length, 0);
+
+  const real = await syncStopOrder({ keys, settings, symbol: 'AAPL', qty: 2, stopPrice: 90, existing: dry.order });
+  assert.equal(real.audit.action, 'create');
+  assert.equal(real.audit.dryRunOrderId, dry.order.id);
+  assert.equal(real.order.status, 'new');
+  assert.equal(openOrders().length, 1);
+});
+
+test('switching a user to dry-run cancels the real order; forced dry-run only flags it', async () => {
+  const { order } = await syncStopOrder({ keys, settings, symbol: 'AAPL', qty: 2, stopPrice: 90 });
+  const switched = await syncStopOrder({ keys, settings: { ...settings, dryRun: true }, symbol: 'AAPL', qty: 2, stopPrice: 90, existing: order });
+  assert.equal(switched.audit.cancelledOrderId, order.id);
+  assert.equal(switched.order.status, 'dry-run');
+  assert.equal(app.locals.orders[order.id].status, 'canceled');
+
+  const second = await syncStopOrder({ keys, settings, symbol: 'AAPL', qty: 2, stopPrice: 90 });
+  process.env.ALPACA_TRADING_DRY_RUN = 'true';
+  const flagged = await syncStopOrder({ keys, settings, symbol: 'AAPL', qty: 2, stopPrice: 89, existing: second.order });
+  assert.equal(flagged.audit.status, 'skipped');
+  assert.equal(flagged.order, second.order);
+  assert.equal(app.locals.orders[second.order.id].status, 'new');
+});
+
+test('position sync reconciles account positions into the stocks map', async () => {
+  const put = (list) => fetch(`${process.env.ALPACA_TRADING_BASE_URL}/mock/positions`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(list) });
+  await put([{ symbol: 'AAPL', qty: 10, avg_entry_price: 100, current_price: 110 }, { symbol: 'TSLA', qty: -5, avg_entry_price: 200 }]);
+
+  const stocks = { MSFT: { shares: 1, stopLoss: 280, stopOrder: { id: 'x' } } };
+  const { positions, env } = await fetchAccountPositions(keys);
+  assert.equal(env, 'paper');
+  const first = reconcilePositions(stocks, positions);
+  assert.deepEqual(first.added, ['AAPL']);
+  assert.deepEqual(first.closed.map(c => c.symbol), ['MSFT']);
+  assert.equal(stocks.AAPL.shares, 10);
+  assert.equal(stocks.TSLA, undefined); // shorts are ignored
+
+  stocks.AAPL.stopLoss = 95;
+  await put([{ symbol: 'AAPL', qty: 4, avg_entry_price: 100, current_price: 110 }]);
+  const second = reconcilePositions(stocks, (await fetchAccountPositions(keys, env)).positions);
+  assert.deepEqual(second.updated, [{ symbol: 'AAPL', prevShares: 10 }]);
+  assert.equal(stocks.AAPL.shares, 4);
+  assert.equal(stocks.AAPL.stopLoss, 95); // server-side fields are kept
+});
@@ -0,0 +1,75 @@
+// llmMock.test.js
+// News sentiment and risk explanations through the 'mock' LLM backend (mockLlmModel.js); node --test, no network.
+
+process.env.LOG_FILE = '';
+process.env.LOG_CONSOLE_FORMAT = 'off';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreNewsSentiment, validateBatch } = require('../sentimentEngine');
+const { explainRisk } = require('../riskExplainer');
+const { getModel } = require('../llmModels');
+
+const now = Math.floor(Date.now() / 1000);
+
+test('scores headlines with the mock backend', async () => {
+  const news = [
+    { headline: 'Acme files for chapter 11 bankruptcy protection', datetime: now - 3600, url: 'https://example.com/1' },
+    { headline: 'Acme shares surge on record growth', datetime: now - 7200 },
+    { headline: 'Acme holds annual picnic', datetime: now - 10800 },
+  ];
+  const r = await scoreNewsSentiment('ACME', news, { backend: 'mock' });
+  assert.equal(r.source, 'llm:mock');
+  assert.equal(r.scored, 3);
+  assert.ok(r.sentiment > 0 && r.sentiment < 1);
+  assert.ok(r.eventSeverity > 0.9);
+  assert.equal(r.events[0].event, 'bankruptcy');
+  assert.equal(r.events[0].url, 'https://example.com/1');
+});
+
+test('no backend or no news means no LLM score', async () => {
+  assert.ok(getModel('mock'));
+  assert.equal(await scoreNewsSentiment('ACME', [{ headline: 'x', datetime: now }], { backend: '' }), null);
+  assert.equal(await scoreNewsSentiment('ACME', [], { backend: 'mock' }), null);
+});
+
+test('batch validation rejects answers outside the schema', () => {
+  assert.throws(() => validateBatch({ items: [{ id: 0, sentiment: 2, severity: 0, event: 'other' }] }, 1), /bad sentiment/);
+  assert.throws(() => validateBatch({ items: [{ id: 0, sentiment: 0, severity: 0, event: 'party' }] }, 1), /bad event/);
+  assert.throws(() => validateBatch({ items: [] }, 1), /expected 1 items/);
+  assert.equal(validateBatch({ items: [{ id: 0, sentiment: -0.5, severity: 0.4, event: 'earnings' }] }, 1).get(0).event, 'earnings');
+});
+
+const analysis = {
+  overallRiskScore: 7,
+  weightsProfile: 'balanced',
+  analyzedAt: new Date().toISOString(),
+  explanation: {
+    confidence: 'high',
+    beta: 1.6,
+    volatility: 0.45,
+    factors: {
+      beta: { value: 1.6, score: 0.9, weight: 0.2, fallback: false },
+      volatility: { value: 0.45, score: 0.8, weight: 0.2, fallback: false },
+      sentiment: { value: 0.5, score: 0.5, weight: 0.1, fallback: false },
+    },
+  },
+};
+
+test('explains a risk score through the mock backend', async () => {
+  const previous = { at: Date.now() - 86400000, score: 4, factors: { beta: 1.0, volatility: 0.45 } };
+  const r = await explainRisk('ACME', analysis, { previous, lang: 'en', backend: 'mock' });
+  assert.equal(r.source, 'llm:mock');
+  assert.equal(r.summary, 'ACME: 7/10 (high).');
+  assert.equal(r.drivers.length, 2);
+  assert.equal(r.changes.length, 1); // beta moved, volatility did not
+  assert.equal(r.facts.action, 'review');
+  assert.equal(r.facts.scoreChange.delta, 3);
+});
+
+test('falls back to the template without a backend', async () => {
+  const r = await explainRisk('ACME', analysis, { lang: 'he', backend: '' });
+  assert.equal(r.source, 'template');
+  assert.equal(r.lang, 'he');
+  assert.ok(r.narrative.includes('ACME'));
+});